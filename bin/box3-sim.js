@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Command line — runs scenario files through the simulation
+ *
+ *   box3-sim scenario.yaml [meer.json ...] [--format json|csv] [--out pad]
+ *
+ * A file holds one scenario, a list of scenarios or { scenarios: [...] }
+ * (see js/scenario.js for the fields). Custom returns can be read from a file
+ * with `returnsFile` or `series.<id>.file` (.json, .csv or .xlsx), relative to
+ * the scenario file; `returnsUnit` / `series.<id>.unit` (auto, percent or
+ * decimal) says how the Return column of a spreadsheet is written.
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, statSync } from 'node:fs';
+import { resolve, dirname, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+import * as XLSX from 'xlsx';
+import { parse as parseYaml } from 'yaml';
+import { runScenario } from '../js/scenario.js';
+import { scenarioToJson, toCsv } from '../js/export.js';
+import { parseReturnsWorkbook } from '../js/excelUpload.js';
+import { systemLabels } from '../js/simulation.js';
+import { marketData } from '../js/marketData.js';
+import { createSeriesId } from '../js/customSeries.js';
+
+const usage = `Gebruik: box3-sim <scenario.yaml|json> [...] [opties]
+
+Opties:
+  -f, --format <json|csv>  Uitvoerformaat (standaard json)
+  -o, --out <pad>          Schrijf naar een bestand (.json/.csv) of, bij een map,
+                           één bestand per scenario; anders naar stdout
+  -h, --help               Deze hulp
+
+Ingebouwde reeksen: ${Object.keys(marketData).join(', ')}
+Eigen reeksen: "returns", "returnsFile" of "series" in het scenario.`;
+
+// A returns file: .xlsx/.csv (Year/Return columns) or JSON ({ year: pct } or { currency, returns })
+function readReturnsFile(path, unit) {
+  if (extname(path).toLowerCase() === '.json') {
+    const data = JSON.parse(readFileSync(path, 'utf8'));
+    return data.returns ? data : { returns: data };
+  }
+  return { returns: parseReturnsWorkbook(XLSX.read(readFileSync(path), { type: 'buffer' }), { unit }) };
+}
+
+// Replace file references by the returns they point to
+function loadReturnFiles(scenario, baseDir) {
+  const resolved = { ...scenario };
+  if (scenario.returnsFile) {
+    const { returns, currency } = readReturnsFile(resolve(baseDir, scenario.returnsFile), scenario.returnsUnit);
+    resolved.returns = returns;
+    if (currency && !scenario.currency) resolved.currency = currency;
+    delete resolved.returnsFile;
+    delete resolved.returnsUnit;
+  }
+  if (scenario.series) {
+    resolved.series = Object.fromEntries(Object.entries(scenario.series).map(([key, series]) => {
+      if (!series?.file) return [key, series];
+      const { file, unit, ...meta } = series;
+      const data = readReturnsFile(resolve(baseDir, file), unit);
+      return [key, { currency: data.currency, ...meta, returns: data.returns }];
+    }));
+  }
+  return resolved;
+}
+
+function readScenarios(path) {
+  const content = parseYaml(readFileSync(path, 'utf8'));
+  const list = Array.isArray(content) ? content : (content?.scenarios || [content]);
+  const fallbackName = (i) => `${path.replace(/^.*[\\/]/, '').replace(/\.[^.]+$/, '')}${list.length > 1 ? `-${i + 1}` : ''}`;
+  return list.map((scenario, i) => ({
+    ...loadReturnFiles(scenario || {}, dirname(path)),
+    name: scenario?.name || fallbackName(i)
+  }));
+}
+
+function formatRun(run, format, header = true) {
+  return format === 'csv'
+    ? toCsv(run.result, { systems: run.scenario.systems, labels: systemLabels, scenario: run.scenario.name, header })
+    : scenarioToJson(run);
+}
+
+function writeOutput(runs, format, out) {
+  const isDir = out && (out.endsWith('/') || (existsSync(out) && statSync(out).isDirectory()));
+
+  if (isDir) {
+    mkdirSync(out, { recursive: true });
+    const used = {};
+    for (const run of runs) {
+      const id = createSeriesId(run.scenario.name, used);
+      used[id] = true;
+      const body = format === 'csv' ? formatRun(run, format) : `${JSON.stringify(formatRun(run, format), null, 2)}\n`;
+      writeFileSync(join(out, `${id}.${format}`), body);
+    }
+    return;
+  }
+
+  const body = format === 'csv'
+    ? runs.map((run, i) => formatRun(run, format, i === 0)).join('')
+    : `${JSON.stringify(runs.map(run => formatRun(run, format)), null, 2)}\n`;
+  if (out) writeFileSync(out, body);
+  else process.stdout.write(body);
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'json' },
+        out: { type: 'string', short: 'o' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${usage}`);
+    return 1;
+  }
+
+  const { values, positionals } = args;
+  if (values.help || positionals.length === 0) {
+    console.log(usage);
+    return values.help ? 0 : 1;
+  }
+  if (!['json', 'csv'].includes(values.format)) {
+    console.error(`Onbekend formaat "${values.format}" (json of csv).`);
+    return 1;
+  }
+
+  const runs = [];
+  for (const file of positionals) {
+    try {
+      for (const scenario of readScenarios(resolve(file))) runs.push(runScenario(scenario));
+    } catch (err) {
+      console.error(`${file}: ${err.message}`);
+      return 1;
+    }
+  }
+
+  writeOutput(runs, values.format, values.out);
+  return 0;
+}
+
+process.exitCode = main();
@@ -16,9 +16,29 @@ import {
   Legend
 } from 'chart.js';
 
-import { marketData, getAvailableYears, getReturns, cpiData, getCpiForYear } from './marketData.js';
-import { getDefaultConfigs } from './taxSystems.js';
-import { runSimulation } from './simulation.js';
+import { marketData, getAvailableYears, cpiData, getCpiForYear, fxData } from './marketData.js';
+import { getDefaultConfigs, taxParamsByYear, getTaxParamsForYear } from './taxSystems.js';
+import { runSimulation, getDefaultSleeves, getDefaultProperty, systemLabels } from './simulation.js';
+import { buildContributionsByYear } from './scenario.js';
+import { probabilityBetter } from './monteCarlo.js';
+import { getRollingWindows, countWindowsBetter } from './backtest.js';
+import { blendReturns, getSharedYears } from './portfolio.js';
+import { buildWithdrawalsByYear } from './decumulation.js';
+import { convertReturnsToEur } from './currency.js';
+import { toRealEuros, backtestToRealEuros, calcAnnualisedReturns, createDeflator } from './inflation.js';
+import {
+  loadCustomSeries,
+  saveCustomSeries,
+  getCustomReturns,
+  addSeries,
+  toSeriesKey,
+  parseSeriesKey,
+  isValidSeriesId,
+  escapeHtml
+} from './customSeries.js';
+import { encodeState, decodeState, packReturns, unpackReturns } from './shareLink.js';
+import { loadScenarios, storeScenario, deleteScenario } from './savedScenarios.js';
+import { runTask, cancelTasks, isCancelled } from './simulationClient.js';
 
 // Register Chart.js components
 Chart.register(
@@ -38,12 +58,15 @@ let configs = getDefaultConfigs();
 
 // ── System display config ──
 const systemMeta = {
-  noTax: { label: 'Geen belasting', color: '#00d68f', bg: 'rgba(0, 214, 143, 0.08)' },
-  old:   { label: 'Oud systeem (vóór 2017)', color: '#4a90d9', bg: 'rgba(74, 144, 217, 0.08)' },
-  oldMethod: { label: 'Oude methode (2017–2022)', color: '#9b59b6', bg: 'rgba(155, 89, 182, 0.08)' },
-  current: { label: 'Huidig systeem (overbruggingswet)', color: '#f5a623', bg: 'rgba(245, 166, 35, 0.08)' },
-  future: { label: 'Toekomstig (2028+)', color: '#ff4466', bg: 'rgba(255, 68, 102, 0.08)' },
-  actualReturn: { label: 'De Nederlandse Droom', color: '#27ae60', bg: 'rgba(39, 174, 96, 0.08)' }
+  noTax: { label: systemLabels.noTax, color: '#00d68f', bg: 'rgba(0, 214, 143, 0.08)' },
+  old:   { label: systemLabels.old, color: '#4a90d9', bg: 'rgba(74, 144, 217, 0.08)' },
+  oldMethod: { label: systemLabels.oldMethod, color: '#9b59b6', bg: 'rgba(155, 89, 182, 0.08)' },
+  current: { label: systemLabels.current, color: '#f5a623', bg: 'rgba(245, 166, 35, 0.08)' },
+  future: { label: systemLabels.future, color: '#ff4466', bg: 'rgba(255, 68, 102, 0.08)' },
+  dutchLaw: { label: systemLabels.dutchLaw, color: '#00b8d9', bg: 'rgba(0, 184, 217, 0.08)' },
+  actualReturn: { label: systemLabels.actualReturn, color: '#27ae60', bg: 'rgba(39, 174, 96, 0.08)' },
+  bv: { label: systemLabels.bv, color: '#8d6e63', bg: 'rgba(141, 110, 99, 0.08)' },
+  pension: { label: systemLabels.pension, color: '#5c6bc0', bg: 'rgba(92, 107, 192, 0.08)' }
 };
 
 // ── DOM Elements ──
@@ -59,6 +82,39 @@ function cacheDom() {
   dom.fiscalPartner = document.getElementById('fiscalPartner');
   dom.summaryGrid = document.getElementById('summaryGrid');
 
+  // Simulation mode
+  dom.simulationMode = document.getElementById('simulationMode');
+  dom.simulationModeHelp = document.getElementById('simulationModeHelp');
+  dom.mcPaths = document.getElementById('mcPaths');
+  dom.mcBlockLength = document.getElementById('mcBlockLength');
+  dom.btHorizon = document.getElementById('btHorizon');
+  dom.backtestDesc = document.getElementById('backtestDesc');
+  dom.backtestSort = document.getElementById('backtestSort');
+  dom.backtestTable = document.getElementById('backtestTable');
+
+  // Year-by-year breakdown
+  dom.breakdownCard = document.getElementById('breakdownCard');
+  dom.breakdownDesc = document.getElementById('breakdownDesc');
+  dom.breakdownSystem = document.getElementById('breakdownSystem');
+  dom.breakdownTable = document.getElementById('breakdownTable');
+
+  // Export & sharing
+  dom.exportXlsxBtn = document.getElementById('exportXlsxBtn');
+  dom.exportCsvBtn = document.getElementById('exportCsvBtn');
+  dom.copyLinkBtn = document.getElementById('copyLinkBtn');
+
+  // Saved scenarios
+  dom.scenarioName = document.getElementById('scenarioName');
+  dom.saveScenarioBtn = document.getElementById('saveScenarioBtn');
+  dom.scenarioList = document.getElementById('scenarioList');
+
+  // Blended portfolio
+  dom.blendPanel = document.getElementById('blendPanel');
+  dom.blendWeights = document.getElementById('blendWeights');
+  dom.blendRebalance = document.getElementById('blendRebalance');
+  dom.blendThreshold = document.getElementById('blendThreshold');
+  dom.blendTotal = document.getElementById('blendTotal');
+
   // Old system config
   dom.oldDeemedReturn = document.getElementById('oldDeemedReturn');
   dom.oldTaxRate = document.getElementById('oldTaxRate');
@@ -80,9 +136,37 @@ function cacheDom() {
   dom.curInvestRate = document.getElementById('curInvestRate');
   dom.curDebtRate = document.getElementById('curDebtRate');
   dom.curDebtThreshold = document.getElementById('curDebtThreshold');
-  dom.curAllocSavings = document.getElementById('curAllocSavings');
-  dom.curAllocInvest = document.getElementById('curAllocInvest');
-  dom.curAllocDebt = document.getElementById('curAllocDebt');
+  dom.curCounterEvidence = document.getElementById('curCounterEvidence');
+  dom.dlCounterEvidence = document.getElementById('dlCounterEvidence');
+
+  // Wealth sleeves
+  dom.allocSavings = document.getElementById('allocSavings');
+  dom.allocInvest = document.getElementById('allocInvest');
+  dom.savingsInterest = document.getElementById('savingsInterest');
+  dom.debtAmount = document.getElementById('debtAmount');
+  dom.debtInterest = document.getElementById('debtInterest');
+  dom.investClass = document.getElementById('investClass');
+
+  // Property
+  dom.propertyValue = document.getElementById('propertyValue');
+  dom.propertyGrowth = document.getElementById('propertyGrowth');
+  dom.propertyRent = document.getElementById('propertyRent');
+  dom.propertyCosts = document.getElementById('propertyCosts');
+  dom.propertyPurchasePrice = document.getElementById('propertyPurchasePrice');
+  dom.mortgageAmount = document.getElementById('mortgageAmount');
+  dom.mortgageRate = document.getElementById('mortgageRate');
+  dom.mortgageRepayment = document.getElementById('mortgageRepayment');
+  dom.valueMode = document.getElementById('valueMode');
+  dom.fxMode = document.getElementById('fxMode');
+  dom.hedgeCost = document.getElementById('hedgeCost');
+  dom.hedgeCostGroup = document.getElementById('hedgeCostGroup');
+  dom.eventList = document.getElementById('eventList');
+  dom.addEventBtn = document.getElementById('addEventBtn');
+  dom.withdrawalMode = document.getElementById('withdrawalMode');
+  dom.withdrawalStart = document.getElementById('withdrawalStart');
+  dom.withdrawalAmount = document.getElementById('withdrawalAmount');
+  dom.withdrawalPercent = document.getElementById('withdrawalPercent');
+  dom.withdrawalCpi = document.getElementById('withdrawalCpi');
 
   // Future system config
   dom.futTaxRate = document.getElementById('futTaxRate');
@@ -94,6 +178,31 @@ function cacheDom() {
   dom.arBracket1Rate = document.getElementById('arBracket1Rate');
   dom.arBracket1Limit = document.getElementById('arBracket1Limit');
   dom.arBracket2Rate = document.getElementById('arBracket2Rate');
+  dom.arExemptionPeriod = document.getElementById('arExemptionPeriod');
+  dom.arLotMethod = document.getElementById('arLotMethod');
+  dom.arSaleMode = document.getElementById('arSaleMode');
+  dom.arSalePercent = document.getElementById('arSalePercent');
+  dom.arSaleAmounts = document.getElementById('arSaleAmounts');
+
+  // Holding BV config
+  dom.bvVpbRate1 = document.getElementById('bvVpbRate1');
+  dom.bvVpbBracket = document.getElementById('bvVpbBracket');
+  dom.bvVpbRate2 = document.getElementById('bvVpbRate2');
+  dom.bvBox2Rate1 = document.getElementById('bvBox2Rate1');
+  dom.bvBox2Bracket = document.getElementById('bvBox2Bracket');
+  dom.bvBox2Rate2 = document.getElementById('bvBox2Rate2');
+  dom.bvCosts = document.getElementById('bvCosts');
+  dom.bvPayoutRate = document.getElementById('bvPayoutRate');
+  dom.bvFbi = document.getElementById('bvFbi');
+  dom.bvLiquidate = document.getElementById('bvLiquidate');
+  dom.bvBreakEvenAgainst = document.getElementById('bvBreakEvenAgainst');
+
+  // Pension / lijfrente config
+  dom.pensionDeductionRate = document.getElementById('pensionDeductionRate');
+  dom.pensionRetirementRate = document.getElementById('pensionRetirementRate');
+  dom.pensionPayoutYears = document.getElementById('pensionPayoutYears');
+  dom.pensionPayoutStart = document.getElementById('pensionPayoutStart');
+  dom.pensionMaxDeduction = document.getElementById('pensionMaxDeduction');
 
   // Future info modal
   dom.futInfoBtn = document.getElementById('futInfoBtn');
@@ -172,24 +281,6 @@ function closeCpiModal() {
   if (dom.cpiInfoBtn) dom.cpiInfoBtn.focus();
 }
 
-/**
- * Build a contributions-by-year map.
- * When CPI is enabled, the base amount is compounded yearly by CPI rate.
- * The first year uses the base amount, subsequent years adjust.
- */
-function buildContributionsByYear(baseAmount, startYear, endYear, cpiEnabled) {
-  const map = {};
-  let amount = baseAmount;
-  for (let y = startYear; y <= endYear; y++) {
-    if (cpiEnabled && y > startYear) {
-      const rate = getCpiForYear(y);
-      amount = amount * (1 + rate / 100);
-    }
-    map[y] = Math.round(amount * 100) / 100;
-  }
-  return map;
-}
-
 /**
  * Render CPI table inside the modal
  */
@@ -235,25 +326,85 @@ function renderCpiTable(baseAmount, startYear, endYear, cpiEnabled) {
     </div>`;
 }
 
-// ── Old method year presets ──
-const oldMethodPresets = {
-  2017: { taxRate: 30, exemption: 25000, savingsRate: 1.63, investRate: 5.39, bracket1Limit: 75000, bracket2Limit: 975000 },
-  2018: { taxRate: 30, exemption: 30000, savingsRate: 0.36, investRate: 5.38, bracket1Limit: 70801, bracket2Limit: 978001 },
-  2019: { taxRate: 30, exemption: 30360, savingsRate: 0.13, investRate: 5.59, bracket1Limit: 71651, bracket2Limit: 989737 },
-  2020: { taxRate: 30, exemption: 30846, savingsRate: 0.07, investRate: 5.28, bracket1Limit: 72798, bracket2Limit: 1005573 },
-  2021: { taxRate: 31, exemption: 50000, savingsRate: 0.03, investRate: 5.69, bracket1Limit: 50001, bracket2Limit: 950001 },
-  2022: { taxRate: 31, exemption: 50650, savingsRate: -0.01, investRate: 5.53, bracket1Limit: 50651, bracket2Limit: 962351 }
+// ── Per-year tax parameter tables ──
+const paramTableColumns = {
+  old: [
+    { key: 'deemedReturn', label: 'Forfait', unit: '%' },
+    { key: 'taxRate', label: 'Tarief', unit: '%' },
+    { key: 'exemption', label: 'Heffingsvrij', unit: '€' }
+  ],
+  oldMethod: [
+    { key: 'taxRate', label: 'Tarief', unit: '%' },
+    { key: 'exemption', label: 'Heffingsvrij', unit: '€' },
+    { key: 'savingsRate', label: 'Sparen', unit: '%' },
+    { key: 'investRate', label: 'Beleggen', unit: '%' },
+    { key: 'bracket1Limit', label: 'Schijf 1 t/m', unit: '€' },
+    { key: 'bracket2Limit', label: 'Schijf 2 t/m', unit: '€' }
+  ],
+  current: [
+    { key: 'taxRate', label: 'Tarief', unit: '%' },
+    { key: 'exemption', label: 'Heffingsvrij', unit: '€' },
+    { key: 'debtThreshold', label: 'Schuldendrempel', unit: '€' },
+    { key: 'savingsRate', label: 'Sparen', unit: '%' },
+    { key: 'investRate', label: 'Beleggen', unit: '%' },
+    { key: 'debtRate', label: 'Schulden', unit: '%' }
+  ]
 };
 
-function applyOldMethodPreset(yearStr) {
-  const preset = oldMethodPresets[parseInt(yearStr)];
-  if (!preset) return;
-  if (dom.omTaxRate) dom.omTaxRate.value = preset.taxRate;
-  if (dom.omExemption) dom.omExemption.value = preset.exemption;
-  if (dom.omSavingsRate) dom.omSavingsRate.value = preset.savingsRate;
-  if (dom.omInvestRate) dom.omInvestRate.value = preset.investRate;
-  if (dom.omBracket1) dom.omBracket1.value = preset.bracket1Limit;
-  if (dom.omBracket2) dom.omBracket2.value = preset.bracket2Limit;
+function formatParam(value, unit) {
+  if (unit === '€') return formatEUR(value);
+  return `${value.toLocaleString('nl-NL', { maximumFractionDigits: 2 })}%`;
+}
+
+function renderParamTables() {
+  document.querySelectorAll('[data-param-table]').forEach(container => {
+    const system = container.dataset.paramTable;
+    const columns = paramTableColumns[system];
+    const table = taxParamsByYear[system];
+    if (!columns || !table) return;
+
+    const head = columns.map(c => `<th>${c.label}</th>`).join('');
+    const rows = Object.keys(table).map(Number).sort((a, b) => a - b).map(year => {
+      const cells = columns.map(c => `<td>${formatParam(table[year][c.key], c.unit)}</td>`).join('');
+      return `<tr><td>${year}</td>${cells}</tr>`;
+    }).join('');
+
+    container.innerHTML = `
+      <table class="results-table">
+        <thead><tr><th>Jaar</th>${head}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`;
+  });
+}
+
+// Empty fields follow the per-year table; a pinned parameter year shows its values as hint
+function syncOldMethodPlaceholders() {
+  const pinned = getOldMethodParamYear();
+  const params = pinned != null ? getTaxParamsForYear('oldMethod', pinned) : null;
+  const fields = {
+    taxRate: dom.omTaxRate,
+    exemption: dom.omExemption,
+    savingsRate: dom.omSavingsRate,
+    investRate: dom.omInvestRate,
+    bracket1Limit: dom.omBracket1,
+    bracket2Limit: dom.omBracket2
+  };
+  for (const [key, input] of Object.entries(fields)) {
+    if (input) input.placeholder = params ? String(params[key]) : 'per jaar';
+  }
+}
+
+function getOldMethodParamYear() {
+  if (!dom.oldMethodYear) return undefined;
+  const year = parseInt(dom.oldMethodYear.value);
+  return Number.isFinite(year) ? year : undefined;
+}
+
+// Returns undefined for an empty field so the per-year table stays in charge
+function readOverride(input) {
+  if (!input) return undefined;
+  const value = parseFloat(input.value);
+  return Number.isFinite(value) ? value : undefined;
 }
 
 // ── Get active (toggled-on) systems ──
@@ -284,16 +435,9 @@ function populateYearSelectors(indexKey, preserveSelection) {
   const prevStart = dom.yearStart.value;
   const prevEnd = dom.yearEnd.value;
 
-  let years;
-  if (indexKey === 'custom') {
-    const customData = loadCustomReturns();
-    if (customData && Object.keys(customData).length > 0) {
-      years = Object.keys(customData).map(Number).sort((a, b) => a - b);
-    } else {
-      years = getAvailableYears('sp500');
-    }
-  } else {
-    years = getAvailableYears(indexKey);
+  let years = getIndexSeries(indexKey).map(r => r.year);
+  if (years.length === 0) {
+    years = getAvailableYears('sp500');
   }
 
   dom.yearStart.innerHTML = '';
@@ -313,53 +457,69 @@ function populateYearSelectors(indexKey, preserveSelection) {
 
   if (preserveSelection && years.includes(parseInt(prevStart))) {
     dom.yearStart.value = prevStart;
-    dom.yearEnd.value = prevEnd;
+    dom.yearEnd.value = years.includes(parseInt(prevEnd)) ? prevEnd : years[years.length - 1];
   } else {
     // Default: 2015 to last year
     const defaultStart = years.includes(2015) ? 2015 : years[0];
     dom.yearStart.value = defaultStart;
     dom.yearEnd.value = years[years.length - 1];
   }
+
+  populateWithdrawalStart(years);
+}
+
+function populateWithdrawalStart(years) {
+  if (!dom.withdrawalStart) return;
+  const prev = parseInt(dom.withdrawalStart.value);
+
+  dom.withdrawalStart.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join('');
+  dom.withdrawalStart.value = years.includes(prev) ? prev : dom.yearStart.value;
 }
 
 // ── Read configs from DOM ──
 function readConfigs() {
   const partnerMultiplier = dom.fiscalPartner.checked ? 2 : 1;
 
+  // Year-indexed systems: only fields the user filled in override the per-year tables
   configs.old = {
-    deemedReturn: parseFloat(dom.oldDeemedReturn.value) || 4,
-    taxRate: parseFloat(dom.oldTaxRate.value) || 30,
-    exemption: parseFloat(dom.oldExemption.value) || 21139,
+    deemedReturn: readOverride(dom.oldDeemedReturn),
+    taxRate: readOverride(dom.oldTaxRate),
+    exemption: readOverride(dom.oldExemption),
     partnerMultiplier
   };
 
   configs.oldMethod = {
-    taxRate: parseFloat(dom.omTaxRate.value) || 31,
-    exemption: parseFloat(dom.omExemption.value) || 50650,
-    savingsRate: parseFloat(dom.omSavingsRate.value),
-    investRate: parseFloat(dom.omInvestRate.value) || 5.53,
-    bracket1Limit: parseFloat(dom.omBracket1.value) || 50651,
-    bracket2Limit: parseFloat(dom.omBracket2.value) || 962351,
+    paramYear: getOldMethodParamYear(),
+    taxRate: readOverride(dom.omTaxRate),
+    exemption: readOverride(dom.omExemption),
+    savingsRate: readOverride(dom.omSavingsRate),
+    investRate: readOverride(dom.omInvestRate),
+    bracket1Limit: readOverride(dom.omBracket1),
+    bracket2Limit: readOverride(dom.omBracket2),
     partnerMultiplier
   };
 
   configs.current = {
-    taxRate: parseFloat(dom.curTaxRate.value) || 36,
-    exemption: parseFloat(dom.curExemption.value) || 59357,
-    debtThreshold: parseFloat(dom.curDebtThreshold.value) || 3800,
-    savingsRate: parseFloat(dom.curSavingsRate.value) || 1.28,
-    investRate: parseFloat(dom.curInvestRate.value) || 6.00,
-    debtRate: parseFloat(dom.curDebtRate.value) || 2.70,
-    allocSavings: parseFloat(dom.curAllocSavings.value) || 0,
-    allocInvest: parseFloat(dom.curAllocInvest.value) || 100,
-    allocDebt: parseFloat(dom.curAllocDebt.value) || 0,
+    taxRate: readOverride(dom.curTaxRate),
+    exemption: readOverride(dom.curExemption),
+    debtThreshold: readOverride(dom.curDebtThreshold),
+    savingsRate: readOverride(dom.curSavingsRate),
+    investRate: readOverride(dom.curInvestRate),
+    debtRate: readOverride(dom.curDebtRate),
+    counterEvidence: dom.curCounterEvidence ? dom.curCounterEvidence.checked : false,
     partnerMultiplier
   };
 
   configs.future = {
     taxRate: parseFloat(dom.futTaxRate.value) || 36,
     freeReturn: parseFloat(dom.futFreeReturn.value) || 1800,
-    lossThreshold: parseFloat(dom.futLossThreshold.value) || 500,
+    lossThreshold: Math.max(0, parseNumberOrDefault(dom.futLossThreshold.value, 500)),
+    partnerMultiplier
+  };
+
+  // Statutory values only — overrides in the other accordions don't apply here
+  configs.dutchLaw = {
+    counterEvidence: dom.dlCounterEvidence ? dom.dlCounterEvidence.checked : false,
     partnerMultiplier
   };
 
@@ -368,37 +528,378 @@ function readConfigs() {
     bracket1Limit: parseFloat(dom.arBracket1Limit.value) || 1000000,
     bracket1Rate: parseFloat(dom.arBracket1Rate.value) || 25,
     bracket2Rate: parseFloat(dom.arBracket2Rate.value) || 40,
+    exemptionPeriod: dom.arExemptionPeriod.value,
+    lotMethod: dom.arLotMethod.value,
+    saleMode: dom.arSaleMode.value,
+    salePercent: Math.max(0, parseNumberOrDefault(dom.arSalePercent.value, 0)),
+    saleAmounts: parseYearAmounts(dom.arSaleAmounts.value),
+    partnerMultiplier
+  };
+
+  const bvDefaults = getDefaultConfigs().bv;
+  configs.bv = {
+    vpbRate1: parseNumberOrDefault(dom.bvVpbRate1.value, bvDefaults.vpbRate1),
+    vpbBracket: parseNumberOrDefault(dom.bvVpbBracket.value, bvDefaults.vpbBracket),
+    vpbRate2: parseNumberOrDefault(dom.bvVpbRate2.value, bvDefaults.vpbRate2),
+    box2Rate1: parseNumberOrDefault(dom.bvBox2Rate1.value, bvDefaults.box2Rate1),
+    box2Bracket: parseNumberOrDefault(dom.bvBox2Bracket.value, bvDefaults.box2Bracket),
+    box2Rate2: parseNumberOrDefault(dom.bvBox2Rate2.value, bvDefaults.box2Rate2),
+    costs: parseNumberOrDefault(dom.bvCosts.value, bvDefaults.costs),
+    payoutRate: parseNumberOrDefault(dom.bvPayoutRate.value, bvDefaults.payoutRate),
+    fbi: dom.bvFbi.checked,
+    liquidate: dom.bvLiquidate.checked,
     partnerMultiplier
   };
+
+  const pensionDefaults = getDefaultConfigs().pension;
+  configs.pension = {
+    deductionRate: parseNumberOrDefault(dom.pensionDeductionRate.value, pensionDefaults.deductionRate),
+    retirementRate: parseNumberOrDefault(dom.pensionRetirementRate.value, pensionDefaults.retirementRate),
+    payoutYears: Math.max(1, Math.round(parseNumberOrDefault(dom.pensionPayoutYears.value, pensionDefaults.payoutYears))),
+    payoutStart: readOverride(dom.pensionPayoutStart) ?? pensionDefaults.payoutStart,
+    maxDeduction: Math.max(0, parseNumberOrDefault(dom.pensionMaxDeduction.value, pensionDefaults.maxDeduction))
+  };
+}
+
+// "2030: 50000, 2035: 20.000" → { 2030: 50000, 2035: 20000 }
+function parseYearAmounts(text) {
+  const amounts = {};
+  for (const [, year, amount] of String(text || '').matchAll(/(\d{4})\s*[:=]\s*(\d[\d.]*(?:,\d{1,2}(?!\d))?)/g)) {
+    const value = parseFloat(amount.replace(/\./g, '').replace(',', '.'));
+    if (Number.isFinite(value)) amounts[year] = (amounts[year] || 0) + value;
+  }
+  return amounts;
+}
+
+// ── Read wealth sleeves (savings / investments / debt) from DOM ──
+function readSleeves() {
+  const defaults = getDefaultSleeves();
+  return {
+    allocSavings: Math.max(0, parseNumberOrDefault(dom.allocSavings.value, defaults.allocSavings)),
+    allocInvest: Math.max(0, parseNumberOrDefault(dom.allocInvest.value, defaults.allocInvest)),
+    debt: Math.max(0, parseNumberOrDefault(dom.debtAmount.value, defaults.debt)),
+    savingsRate: parseNumberOrDefault(dom.savingsInterest.value, defaults.savingsRate),
+    debtRate: parseNumberOrDefault(dom.debtInterest.value, defaults.debtRate),
+    investClass: dom.investClass ? dom.investClass.value : defaults.investClass
+  };
+}
+
+// ── Read the property (second home / rental) from DOM ──
+function readProperty() {
+  const defaults = getDefaultProperty();
+  if (!dom.propertyValue) return defaults;
+  return {
+    value: Math.max(0, parseNumberOrDefault(dom.propertyValue.value, defaults.value)),
+    growth: parseNumberOrDefault(dom.propertyGrowth.value, defaults.growth),
+    rent: Math.max(0, parseNumberOrDefault(dom.propertyRent.value, defaults.rent)),
+    costs: Math.max(0, parseNumberOrDefault(dom.propertyCosts.value, defaults.costs)),
+    mortgage: Math.max(0, parseNumberOrDefault(dom.mortgageAmount.value, defaults.mortgage)),
+    mortgageRate: parseNumberOrDefault(dom.mortgageRate.value, defaults.mortgageRate),
+    repayment: Math.max(0, parseNumberOrDefault(dom.mortgageRepayment.value, defaults.repayment)),
+    purchasePrice: readOverride(dom.propertyPurchasePrice) ?? defaults.purchasePrice
+  };
 }
 
-// ── Load custom returns from localStorage ──
-function loadCustomReturns() {
+// ── Deposit / withdrawal events ──
+const monthNames = ['jan', 'feb', 'mrt', 'apr', 'mei', 'jun', 'jul', 'aug', 'sep', 'okt', 'nov', 'dec'];
+
+function renderEventRow(event = {}) {
+  if (!dom.eventList) return;
+  // Values are coerced and set through the DOM, never put into the markup
+  const finite = value => (value === '' || value == null || !Number.isFinite(Number(value)) ? null : Number(value));
+  const year = finite(event.year) ?? parseInt(dom.yearStart.value);
+  const month = finite(event.month) ?? 1;
+  const row = document.createElement('div');
+  row.className = 'event-row';
+  row.innerHTML = `
+    <div class="event-label">
+      <input type="text" data-field="label" placeholder="Omschrijving, bv. erfenis" />
+      <button type="button" class="event-remove" aria-label="Verwijderen">×</button>
+    </div>
+    <div class="config-field">
+      <label>Soort</label>
+      <select data-field="type">
+        <option value="deposit"${event.type !== 'withdrawal' ? ' selected' : ''}>Storting</option>
+        <option value="withdrawal"${event.type === 'withdrawal' ? ' selected' : ''}>Opname</option>
+      </select>
+    </div>
+    <div class="config-field">
+      <label>Bedrag</label>
+      <div class="input-with-prefix"><span>€</span><input type="number" data-field="amount" step="1000" min="0" /></div>
+    </div>
+    <div class="config-field">
+      <label>Jaar</label>
+      <div class="input-with-suffix"><input type="number" data-field="year" step="1" /></div>
+    </div>
+    <div class="config-field">
+      <label>Maand</label>
+      <select data-field="month">
+        ${monthNames.map((name, i) => `<option value="${i + 1}"${i + 1 === month ? ' selected' : ''}>${name}</option>`).join('')}
+      </select>
+    </div>
+    <div class="config-field">
+      <label>Herhaling</label>
+      <select data-field="recurring">
+        <option value="none"${event.recurring !== 'yearly' ? ' selected' : ''}>Eenmalig</option>
+        <option value="yearly"${event.recurring === 'yearly' ? ' selected' : ''}>Elk jaar</option>
+      </select>
+    </div>
+    <div class="config-field">
+      <label>Tot en met</label>
+      <div class="input-with-suffix"><input type="number" data-field="untilYear" placeholder="einde" step="1" /></div>
+    </div>`;
+  const field = name => row.querySelector(`[data-field="${name}"]`);
+  field('label').value = String(event.label ?? '');
+  field('amount').value = finite(event.amount) ?? 10000;
+  field('year').value = year;
+  field('untilYear').value = finite(event.untilYear) ?? '';
+  dom.eventList.appendChild(row);
+}
+
+function readEvents() {
+  if (!dom.eventList) return [];
+  return [...dom.eventList.querySelectorAll('.event-row')].map(row => {
+    const field = name => row.querySelector(`[data-field="${name}"]`).value;
+    const untilYear = parseInt(field('untilYear'));
+    return {
+      label: field('label'),
+      type: field('type'),
+      amount: Math.max(0, parseFloat(field('amount')) || 0),
+      year: parseInt(field('year')),
+      month: parseInt(field('month')),
+      recurring: field('recurring'),
+      untilYear: Number.isFinite(untilYear) ? untilYear : null
+    };
+  }).filter(e => e.amount > 0 && Number.isFinite(e.year));
+}
+
+// ── Withdrawals (decumulation) ──
+function getWithdrawalMode() {
+  return dom.withdrawalMode ? dom.withdrawalMode.value : 'none';
+}
+
+/**
+ * Withdrawal schedule for a simulated period; `offset` shifts the chosen
+ * start year (used by the backtest to keep the same number of build-up years).
+ */
+function readWithdrawals(startYear, endYear, offset = 0) {
+  const mode = getWithdrawalMode();
+  if (mode !== 'fixed' && mode !== 'percent') return null;
+
+  const from = parseNumberOrDefault(dom.withdrawalStart.value, startYear) + offset;
+  if (mode === 'percent') {
+    return { mode, startYear: from, percent: Math.max(0, parseNumberOrDefault(dom.withdrawalPercent.value, 4)) };
+  }
+
+  const monthly = Math.max(0, parseNumberOrDefault(dom.withdrawalAmount.value, 0));
+  const cpiIndexed = dom.withdrawalCpi ? dom.withdrawalCpi.checked : false;
+  return {
+    mode,
+    startYear: from,
+    monthlyByYear: buildWithdrawalsByYear(monthly, Math.max(from, startYear), endYear, cpiIndexed)
+  };
+}
+
+function readSimulationOptions(startYear, endYear, offset = 0) {
+  return {
+    sleeves: readSleeves(),
+    property: readProperty(),
+    withdrawals: readWithdrawals(startYear, endYear, offset),
+    // Events keep their position relative to the start year in shifted backtest windows
+    events: readEvents().map(e => ({
+      ...e,
+      year: e.year + offset,
+      untilYear: e.untilYear !== null ? e.untilYear + offset : null
+    }))
+  };
+}
+
+// ── Custom series with at least one year of data, as { key, name } ──
+function getCustomSeriesOptions() {
+  return Object.entries(loadCustomSeries())
+    .filter(([id]) => getSharedYears([getCustomReturns(id)]).length > 0)
+    .map(([id, series]) => ({ key: toSeriesKey(id), name: series.name, notes: series.notes || '' }));
+}
+
+// ── One indexSelect option per custom series, just before the blend option ──
+function populateCustomSeriesOptions() {
+  const prev = dom.indexSelect.value;
+  dom.indexSelect.querySelectorAll('option[data-custom]').forEach(opt => opt.remove());
+
+  const blendOption = dom.indexSelect.querySelector('option[value="blend"]');
+  getCustomSeriesOptions().forEach(({ key, name, notes }) => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = name;
+    opt.title = notes;
+    opt.dataset.custom = 'true';
+    dom.indexSelect.insertBefore(opt, blendOption);
+  });
+
+  dom.indexSelect.value = prev;
+  if (dom.indexSelect.value !== prev) dom.indexSelect.value = 'sp500';
+}
+
+// ── Exchange rates: shipped data with edits from the data page on top ──
+function loadFxRates(currency) {
+  let overrides = {};
   try {
-    const raw = localStorage.getItem('customReturns');
-    return raw ? JSON.parse(raw) : null;
-  } catch { return null; }
+    const raw = localStorage.getItem('fxRates');
+    overrides = raw ? JSON.parse(raw) : {};
+  } catch { overrides = {}; }
+  return { ...(fxData[currency]?.rates || {}), ...(overrides[currency] || {}) };
+}
+
+// ── Nominal or real (inflation-adjusted) euros ──
+function getValueMode() {
+  return dom.valueMode ? dom.valueMode.value : 'nominal';
+}
+
+function applyValueMode(result) {
+  const mode = getValueMode();
+  return mode === 'nominal' ? result : toRealEuros(result, mode);
+}
+
+function syncFxControls() {
+  if (dom.hedgeCostGroup) dom.hedgeCostGroup.hidden = !dom.fxMode || dom.fxMode.value !== 'hedged';
+}
+
+// ── Return map ({ year: pct }) for a single series, in EUR when conversion is on ──
+function getSeriesReturnsMap(key, source = readReturnSource()) {
+  const customId = parseSeriesKey(key);
+  const series = customId !== null
+    ? { ...loadCustomSeries()[customId], returns: getCustomReturns(customId) }
+    : marketData[key];
+  if (!series || !series.returns) return null;
+
+  return convertReturnsToEur(series.returns, series.currency, loadFxRates(series.currency), {
+    mode: source.fxMode,
+    hedgeCost: source.hedgeCost
+  });
+}
+
+// ── Everything that decides the return series, so it can be resolved without the form ──
+function readReturnSource() {
+  const weights = {};
+  if (dom.blendWeights) {
+    dom.blendWeights.querySelectorAll('input[data-series]').forEach(input => {
+      weights[input.dataset.series] = Math.max(0, parseFloat(input.value) || 0);
+    });
+  }
+  return {
+    index: dom.indexSelect.value,
+    fxMode: dom.fxMode ? dom.fxMode.value : 'none',
+    hedgeCost: parseNumberOrDefault(dom.hedgeCost?.value, 0),
+    blend: {
+      weights,
+      rebalance: dom.blendRebalance ? dom.blendRebalance.value : 'annual',
+      threshold: parseNumberOrDefault(dom.blendThreshold?.value, 5)
+    }
+  };
+}
+
+// ── Full sorted history of an index, blend or custom series ──
+function getIndexSeries(indexKey, source = readReturnSource()) {
+  if (indexKey === 'blend') {
+    return blendReturns(blendComponents(source), {
+      rebalance: source.blend.rebalance,
+      threshold: source.blend.threshold
+    });
+  }
+
+  const returns = getSeriesReturnsMap(indexKey, source);
+  if (!returns) return [];
+  return getSharedYears([returns]).map(y => ({ year: y, return: Number(returns[y]) }));
 }
 
 // ── Get current returns data ──
 function getCurrentReturns() {
-  const indexKey = dom.indexSelect.value;
   const startYear = parseInt(dom.yearStart.value);
   const endYear = parseInt(dom.yearEnd.value);
 
-  if (indexKey === 'custom') {
-    const customData = loadCustomReturns();
-    if (customData && Object.keys(customData).length > 0) {
-      const years = Object.keys(customData)
-        .map(Number)
-        .filter(y => y >= startYear && y <= endYear)
-        .sort((a, b) => a - b);
-      return years.map(y => ({ year: y, return: customData[y] }));
-    }
-    return [];
+  return getIndexSeries(dom.indexSelect.value)
+    .filter(r => r.year >= startYear && r.year <= endYear);
+}
+
+// ── Full history of the selected index (Monte Carlo / backtest source) ──
+function getSourceReturns() {
+  return getIndexSeries(dom.indexSelect.value);
+}
+
+// ── Blended portfolio weights ──
+const defaultBlendWeights = { allworld: 70, aex: 20, ethereum: 10 };
+
+function getBlendableSeries() {
+  const keys = Object.keys(marketData).map(key => ({ key, name: marketData[key].name }));
+  return [...keys, ...getCustomSeriesOptions()];
+}
+
+function renderBlendWeights() {
+  if (!dom.blendWeights) return;
+  const previous = {};
+  dom.blendWeights.querySelectorAll('input[data-series]').forEach(input => {
+    previous[input.dataset.series] = input.value;
+  });
+
+  dom.blendWeights.innerHTML = getBlendableSeries().map(({ key, name }) => {
+    const value = previous[key] ?? defaultBlendWeights[key] ?? 0;
+    return `
+      <div class="config-field">
+        <label for="blendWeight-${escapeHtml(key)}">${escapeHtml(name)}</label>
+        <div class="input-with-suffix"><input type="number" id="blendWeight-${escapeHtml(key)}" data-series="${escapeHtml(key)}" value="${escapeHtml(value)}" step="1" min="0" max="100" /><span>%</span></div>
+      </div>`;
+  }).join('');
+}
+
+function blendComponents(source) {
+  return Object.entries(source.blend.weights).map(([key, weight]) => ({
+    key,
+    weight,
+    returns: getSeriesReturnsMap(key, source)
+  }));
+}
+
+function readBlendComponents() {
+  return blendComponents(readReturnSource());
+}
+
+function syncBlendPanel() {
+  if (!dom.blendPanel) return;
+  const isBlend = dom.indexSelect.value === 'blend';
+  dom.blendPanel.hidden = !isBlend;
+  if (!isBlend) return;
+
+  if (dom.blendThreshold) {
+    dom.blendThreshold.disabled = dom.blendRebalance.value !== 'threshold';
   }
 
-  return getReturns(indexKey, startYear, endYear);
+  const total = readBlendComponents().reduce((sum, c) => sum + c.weight, 0);
+  if (dom.blendTotal) {
+    dom.blendTotal.textContent = total === 100
+      ? 'Totaal: 100%'
+      : `Totaal: ${total}% — gewichten worden naar 100% geschaald`;
+  }
+}
+
+function getSimulationMode() {
+  return dom.simulationMode ? dom.simulationMode.value : 'historical';
+}
+
+const simulationModeHelp = {
+  historical: 'Speelt de gekozen periode precies af zoals die historisch verliep.',
+  monteCarlo: 'Trekt duizenden rendementsreeksen uit de indexhistorie en toont P5–P95 banden.',
+  backtest: 'Rekent elk mogelijk startjaar door; de grafieken bovenaan tonen de gekozen periode.'
+};
+
+// ── Show only the controls that belong to the active mode ──
+function syncModeControls() {
+  const mode = getSimulationMode();
+  document.querySelectorAll('[data-mode]').forEach(el => {
+    el.hidden = el.dataset.mode !== mode;
+  });
+  if (dom.simulationModeHelp) {
+    dom.simulationModeHelp.textContent = simulationModeHelp[mode] || '';
+  }
 }
 
 function updatePeriodYearsIndicator() {
@@ -457,7 +958,9 @@ function createChart(canvasId, title, yPrefix) {
             font: { family: 'Inter', size: 12, weight: '500' },
             padding: 16,
             usePointStyle: true,
-            pointStyle: 'circle'
+            pointStyle: 'circle',
+            // Percentile band edges are drawn but not listed
+            filter: (item, data) => !data.datasets[item.datasetIndex].isBand
           }
         },
         tooltip: {
@@ -470,10 +973,17 @@ function createChart(canvasId, title, yPrefix) {
           titleFont: { family: 'Inter', weight: '600' },
           bodyFont: { family: 'Inter' },
           cornerRadius: 8,
+          filter: (item) => !item.dataset.isBand && item.parsed.y !== null,
           callbacks: {
             label: function(context) {
               const val = context.parsed.y;
-              return `${context.dataset.label}: ${formatEUR(val)}`;
+              const range = context.dataset.range;
+              if (range) {
+                const i = context.dataIndex;
+                return `${context.dataset.label}: ${formatEUR(val)} (P5 ${formatEUR(range.low[i])} – P95 ${formatEUR(range.high[i])})`;
+              }
+              const flagged = context.dataset.flags && context.dataset.flags[context.dataIndex];
+              return `${context.dataset.label}: ${formatEUR(val)}${flagged ? ' (tegenbewijs)' : ''}`;
             }
           }
         }
@@ -526,24 +1036,98 @@ function updateChartData(chart, labels, datasets) {
   chart.update('none'); // no animation on updates for snappiness
 }
 
-function buildDatasets(dataObj, systems, activeSystems) {
+// ── Loading state while a worker run is in progress: `progress` 0–1, or false to clear ──
+function setChartsLoading(chartList, progress) {
+  chartList.filter(Boolean).forEach(chart => {
+    const container = chart.canvas.parentElement;
+    container.classList.toggle('is-loading', progress !== false);
+    container.dataset.progress = progress !== false ? `Berekenen… ${Math.round(progress * 100)}%` : '';
+  });
+}
+
+// `flags` ({ sys: boolean[] }) marks points that need a highlight, e.g. tegenbewijs years
+function buildDatasets(dataObj, systems, activeSystems, flags = {}) {
   return systems
     .filter(sys => activeSystems.includes(sys))
-    .map(sys => ({
-      label: systemMeta[sys].label,
-      data: dataObj[sys],
-      borderColor: systemMeta[sys].color,
-      backgroundColor: systemMeta[sys].bg,
-      fill: false,
-      pointBackgroundColor: systemMeta[sys].color,
-      pointBorderColor: 'transparent',
-      pointHoverBorderColor: '#fff',
-      pointHoverBorderWidth: 2
-    }));
+    .map(sys => {
+      const dataset = {
+        label: systemMeta[sys].label,
+        data: dataObj[sys],
+        borderColor: systemMeta[sys].color,
+        backgroundColor: systemMeta[sys].bg,
+        fill: false,
+        pointBackgroundColor: systemMeta[sys].color,
+        pointBorderColor: 'transparent',
+        pointHoverBorderColor: '#fff',
+        pointHoverBorderWidth: 2
+      };
+      const marks = flags[sys];
+      if (marks && marks.some(Boolean)) {
+        dataset.flags = marks;
+        dataset.pointStyle = marks.map(m => (m ? 'rectRot' : 'circle'));
+        dataset.pointRadius = marks.map(m => (m ? 6 : 3));
+      }
+      return dataset;
+    });
+}
+
+function withAlpha(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+/**
+ * Fan chart datasets: an outer P5–P95 band, an inner P25–P75 band and the
+ * median line per system. Each band is a pair of datasets where the second
+ * fills to the first ('-1').
+ */
+function buildFanDatasets(bandsObj, systems, activeSystems) {
+  const datasets = [];
+  const bandEdge = {
+    borderWidth: 0,
+    pointRadius: 0,
+    pointHoverRadius: 0,
+    pointHitRadius: 0,
+    isBand: true
+  };
+
+  systems
+    .filter(sys => activeSystems.includes(sys))
+    .forEach(sys => {
+      const bands = bandsObj[sys];
+      const color = systemMeta[sys].color;
+
+      datasets.push(
+        { ...bandEdge, label: `${systemMeta[sys].label} P95`, data: bands.p95, fill: false },
+        { ...bandEdge, label: `${systemMeta[sys].label} P5`, data: bands.p5, fill: '-1', backgroundColor: withAlpha(color, 0.08) },
+        { ...bandEdge, label: `${systemMeta[sys].label} P75`, data: bands.p75, fill: false },
+        { ...bandEdge, label: `${systemMeta[sys].label} P25`, data: bands.p25, fill: '-1', backgroundColor: withAlpha(color, 0.16) },
+        {
+          label: systemMeta[sys].label,
+          data: bands.p50,
+          range: { low: bands.p5, high: bands.p95 },
+          borderColor: color,
+          backgroundColor: systemMeta[sys].bg,
+          fill: false,
+          pointBackgroundColor: color,
+          pointBorderColor: 'transparent',
+          pointHoverBorderColor: '#fff',
+          pointHoverBorderWidth: 2
+        }
+      );
+    });
+
+  return datasets;
+}
+
+function buildMedianDatasets(bandsObj, systems, activeSystems) {
+  const medians = {};
+  systems.forEach(sys => { medians[sys] = bandsObj[sys].p50; });
+  return buildDatasets(medians, systems, activeSystems);
 }
 
 // ── Summary cards ──
-function updateSummary(result, activeSystems) {
+function updateSummary(result, activeSystems, safeRates = null, annualised = null, breakEven = null) {
   const { systems, portfolioValues, cumulativeTax, taxLabels } = result;
   const filtered = systems.filter(sys => activeSystems.includes(sys));
   const startCap = parseNumberOrDefault(dom.startCapital.value, 150000);
@@ -554,23 +1138,90 @@ function updateSummary(result, activeSystems) {
   const startYear = parseInt(dom.yearStart.value);
   const endYear = parseInt(dom.yearEnd.value);
   const contribs = buildContributionsByYear(baseContrib, startYear, endYear, cpiEnabled);
-  const totalContributed = Object.values(contribs).reduce((sum, m) => sum + m * 12, 0);
-  const totalInvested = startCap + totalContributed;
+  const { debt } = readSleeves();
+  const property = readProperty();
+  const propertyEquity = property.value > 0 ? property.value - property.mortgage : 0;
+
+  // In real euros every deposit is valued in the euros of the base year
+  const deflate = result.real ? createDeflator(result.real.baseYear) : () => 1;
+  const totalContributed = Object.entries(contribs).reduce((sum, [y, m]) => sum + m * 12 * deflate(Number(y)), 0);
+  const totalInvested = (startCap - debt + propertyEquity) * deflate(result.labels[0]) + totalContributed;
+  const eventCount = readEvents().length;
 
   if (filtered.length === 0) {
     dom.summaryGrid.innerHTML = '<p style="color: var(--text-muted); padding: 1rem; text-align: center;">Selecteer minstens één belastingsysteem</p>';
     return;
   }
 
+  // Monte Carlo results carry percentile bands; the cards then show the median
+  const isMonteCarlo = Boolean(result.percentiles);
+  const lastOf = arr => (arr.length > 0 ? arr[arr.length - 1] : 0);
+
   const resultCards = filtered.map(sys => {
-    const finalValue = portfolioValues[sys][portfolioValues[sys].length - 1];
-    const totalTax = cumulativeTax[sys].length > 0
-      ? cumulativeTax[sys][cumulativeTax[sys].length - 1]
+    const finalValue = isMonteCarlo
+      ? lastOf(portfolioValues[sys].p50)
+      : lastOf(portfolioValues[sys]);
+    const totalTax = isMonteCarlo
+      ? lastOf(cumulativeTax[sys].p50)
+      : lastOf(cumulativeTax[sys]);
+    const withdrawn = !isMonteCarlo && result.withdrawals
+      ? result.withdrawals[sys].reduce((sum, w) => sum + w, 0)
       : 0;
-    const profit = finalValue - totalInvested;
+    // Events are cash flows too: deposits count as invested, withdrawals as received
+    const eventNet = !isMonteCarlo && result.eventFlows
+      ? result.eventFlows[sys].reduce((sum, f) => sum + f, 0)
+      : 0;
+    // Systems without the property start from less
+    const startValue = isMonteCarlo ? portfolioValues[sys].p50[0] : portfolioValues[sys][0];
+    const profit = finalValue + withdrawn - eventNet - startValue - totalContributed;
     const profitClass = profit >= 0 ? 'positive' : 'negative';
     const profitSign = profit >= 0 ? '+' : '';
 
+    const annualisedDetail = annualised && Number.isFinite(annualised[sys])
+      ? `<div class="result-detail">${result.real ? 'Reëel rendement' : 'Rendement'} p.j.: <span class="${annualised[sys] >= 0 ? 'positive' : 'negative'}">${annualised[sys].toFixed(1).replace('.', ',')}%</span></div>`
+      : '';
+
+    const counterEvidenceYears = !isMonteCarlo && result.counterEvidence && result.counterEvidence[sys]
+      ? taxLabels.filter((_, i) => result.counterEvidence[sys][i])
+      : [];
+    const counterEvidenceDetail = counterEvidenceYears.length > 0
+      ? `<div class="result-detail">Tegenbewijs: ${counterEvidenceYears.join(', ')}</div>`
+      : '';
+
+    let withdrawalDetails = '';
+    if (withdrawn > 0) {
+      const depleted = result.depletionYear[sys];
+      withdrawalDetails = `<div class="result-detail">Opgenomen: ${formatEUR(withdrawn)}</div>`;
+      withdrawalDetails += depleted !== null
+        ? `<div class="result-detail">Vermogen op: <span class="negative">${depleted}</span></div>`
+        : `<div class="result-detail">Houdbaar t/m: <span class="positive">${lastOf(taxLabels)}</span></div>`;
+    }
+    const safe = safeRates && safeRates[sys];
+    if (safeRates === 'pending' && withdrawn > 0 && sys !== 'pension') {
+      withdrawalDetails += '<div class="result-detail">Veilige opname: berekenen…</div>';
+    } else if (safe) {
+      withdrawalDetails += `<div class="result-detail">Veilige opname: ${safe.rate.toFixed(1).replace('.', ',')}% (${formatEUR(safe.monthly)}/mnd)</div>`;
+    }
+
+    let breakEvenDetail = '';
+    if (sys === 'bv' && breakEven === 'pending') {
+      breakEvenDetail = '<div class="result-detail">Break-even: berekenen…</div>';
+    } else if (sys === 'bv' && breakEven) {
+      const against = systemMeta[breakEven.against].label;
+      breakEvenDetail = breakEven.capital === null
+        ? `<div class="result-detail">Break-even t.o.v. ${against}: <span class="negative">niet onder ${formatEUR(breakEven.maxCapital)}</span></div>`
+        : `<div class="result-detail">Break-even t.o.v. ${against}: vanaf <span class="positive">${formatEUR(breakEven.capital)}</span></div>`;
+    }
+
+    let monteCarloDetails = '';
+    if (isMonteCarlo) {
+      monteCarloDetails = `<div class="result-detail">P5–P95: ${formatEUR(lastOf(portfolioValues[sys].p5))} – ${formatEUR(lastOf(portfolioValues[sys].p95))}</div>`;
+      if (sys !== 'current' && filtered.includes('current')) {
+        const share = probabilityBetter(result, sys, 'current');
+        monteCarloDetails += `<div class="result-detail">Beter dan huidig: <span class="${share >= 0.5 ? 'positive' : 'negative'}">${Math.round(share * 100)}% van paden</span></div>`;
+      }
+    }
+
     return `
       <div class="summary-result-card">
         <div class="result-label">
@@ -581,6 +1232,11 @@ function updateSummary(result, activeSystems) {
         <div class="result-details">
           <div class="result-detail">Rendement: <span class="${profitClass}">${profitSign}${formatEUR(profit)}</span></div>
           <div class="result-detail">Belasting: <span class="negative">${formatEUR(totalTax)}</span></div>
+          ${annualisedDetail}
+          ${counterEvidenceDetail}
+          ${withdrawalDetails}
+          ${breakEvenDetail}
+          ${monteCarloDetails}
         </div>
       </div>
     `;
@@ -591,6 +1247,11 @@ function updateSummary(result, activeSystems) {
       <div class="start-label">Totaal ingelegd</div>
       <div class="start-value">${formatEUR(totalInvested)}</div>
       <div class="start-meta">Start: ${formatEUR(startCap)} • Inleg: ${formatEUR(baseContrib)}/mnd${cpiEnabled ? ' (CPI)' : ''}</div>
+      ${debt > 0 ? `<div class="start-meta">Schuld: ${formatEUR(debt)}</div>` : ''}
+      ${result.real ? `<div class="start-meta">Bedragen in euro's van ${result.real.baseYear}</div>` : ''}
+      ${eventCount > 0 ? `<div class="start-meta">Gebeurtenissen: ${eventCount}</div>` : ''}
+      ${getWithdrawalMode() !== 'none' ? `<div class="start-meta">Opnames vanaf ${dom.withdrawalStart.value}</div>` : ''}
+      ${isMonteCarlo ? `<div class="start-meta">Mediaan van ${result.paths} paden</div>` : ''}
     </div>
     <div class="summary-arrow">→</div>
     <div class="summary-results">
@@ -601,8 +1262,14 @@ function updateSummary(result, activeSystems) {
 
 // ── Main update function ──
 function update() {
+  // Heavy runs of an earlier update are outdated now
+  cancelTasks();
+  setChartsLoading(Object.values(charts), false);
+
   readConfigs();
   syncAccordionStates();
+  syncModeControls();
+  syncFxControls();
   updatePeriodYearsIndicator();
 
   const startCapital = parseNumberOrDefault(dom.startCapital.value, 150000);
@@ -618,31 +1285,762 @@ function update() {
   const startYear = parseInt(dom.yearStart.value);
   const endYear = parseInt(dom.yearEnd.value);
   const contributionsByYear = buildContributionsByYear(baseContrib, startYear, endYear, cpiEnabled);
-  const result = runSimulation(startCapital, returns, configs, contributionsByYear);
 
-  // Update portfolio chart
-  updateChartData(
-    charts.portfolio,
+  // The breakdown and the export belong to a single run, so Monte Carlo has none
+  const isMonteCarlo = getSimulationMode() === 'monteCarlo';
+  if (dom.breakdownCard) dom.breakdownCard.hidden = isMonteCarlo;
+  [dom.exportXlsxBtn, dom.exportCsvBtn].filter(Boolean).forEach(button => {
+    button.disabled = isMonteCarlo;
+    button.title = isMonteCarlo ? 'Export is beschikbaar voor het historische pad' : '';
+  });
+
+  if (getSimulationMode() === 'monteCarlo') {
+    updateMonteCarlo(startCapital, returns, contributionsByYear, activeSystems);
+    return;
+  }
+
+  const simulationOptions = readSimulationOptions(startYear, endYear);
+  const nominal = runSimulation(startCapital, returns, configs, contributionsByYear, { ...simulationOptions, breakdown: true });
+  const result = applyValueMode(nominal);
+  const annualised = calcAnnualisedReturns(nominal, contributionsByYear, { real: getValueMode() !== 'nominal' });
+
+  lastRun = {
+    startCapital,
+    startYear,
+    endYear,
+    source: readReturnSource(),
+    configs: JSON.parse(JSON.stringify(configs)),
+    contributionsByYear,
+    options: simulationOptions
+  };
+  const compared = runComparedScenarios();
+
+  // Update portfolio chart (saved scenarios selected for comparison are drawn on top)
+  const portfolio = withScenarioOverlays(
     result.labels,
-    buildDatasets(result.portfolioValues, result.systems, activeSystems)
+    buildDatasets(result.portfolioValues, result.systems, activeSystems),
+    compared, 'portfolioValues', 'labels', activeSystems
   );
+  updateChartData(charts.portfolio, portfolio.labels, portfolio.datasets);
 
   // Update annual tax chart
-  updateChartData(
-    charts.annualTax,
+  const annualTax = withScenarioOverlays(
     result.taxLabels,
-    buildDatasets(result.annualTax, result.systems, activeSystems)
+    buildDatasets(result.annualTax, result.systems, activeSystems, result.counterEvidence),
+    compared, 'annualTax', 'taxLabels', activeSystems
   );
+  updateChartData(charts.annualTax, annualTax.labels, annualTax.datasets);
 
   // Update cumulative tax chart
-  updateChartData(
-    charts.totalTax,
+  const totalTax = withScenarioOverlays(
     result.taxLabels,
-    buildDatasets(result.cumulativeTax, result.systems, activeSystems)
+    buildDatasets(result.cumulativeTax, result.systems, activeSystems),
+    compared, 'cumulativeTax', 'taxLabels', activeSystems
   );
+  updateChartData(charts.totalTax, totalTax.labels, totalTax.datasets);
+
+  // Safe withdrawal rates and the BV break-even take many runs, so they come from the worker;
+  // the summary is drawn again as each of them arrives
+  const extras = {
+    safeRates: simulationOptions.withdrawals ? 'pending' : null,
+    breakEven: activeSystems.includes('bv') ? 'pending' : null
+  };
+  const renderSummary = () => updateSummary(result, activeSystems, extras.safeRates, annualised, extras.breakEven);
+  renderSummary();
+
+  // Safe withdrawal rate per regime for the chosen horizon
+  if (simulationOptions.withdrawals) {
+    runTask('safeWithdrawalRates', {
+      startCapital,
+      returns,
+      configs,
+      contributionsByYear,
+      options: simulationOptions,
+      params: {
+        startYear: simulationOptions.withdrawals.startYear,
+        cpiIndexed: dom.withdrawalCpi ? dom.withdrawalCpi.checked : false,
+        systems: activeSystems
+      }
+    })
+      .then(safeRates => {
+        extras.safeRates = safeRates;
+        renderSummary();
+      })
+      .catch(err => {
+        if (isCancelled(err)) return;
+        extras.safeRates = null;
+        renderSummary();
+      });
+  }
 
-  // Update summary
-  updateSummary(result, activeSystems);
+  // Start capital from which the BV ends ahead of the chosen Box 3 system
+  if (extras.breakEven) {
+    const against = dom.bvBreakEvenAgainst ? dom.bvBreakEvenAgainst.value : 'future';
+    const maxCapital = 10000000;
+    runTask('breakEven', {
+      returns,
+      configs,
+      contributionsByYear,
+      options: simulationOptions,
+      params: { system: 'bv', against, maxCapital }
+    })
+      .then(capital => {
+        extras.breakEven = { against, capital, maxCapital };
+        renderSummary();
+      })
+      .catch(err => {
+        if (isCancelled(err)) return;
+        extras.breakEven = null;
+        renderSummary();
+      });
+  }
+
+  lastBreakdown = nominal;
+  lastExport = { result, annualised, activeSystems };
+  populateBreakdownSystems(activeSystems);
+  renderBreakdownTable();
+
+  if (getSimulationMode() === 'backtest') {
+    updateBacktest(startCapital, baseContrib, cpiEnabled, activeSystems);
+  }
+}
+
+// ── Year-by-year breakdown ──
+let lastBreakdown = null;
+
+function populateBreakdownSystems(activeSystems) {
+  if (!dom.breakdownSystem) return;
+  const prev = dom.breakdownSystem.value;
+  const systems = activeSystems.filter(sys => sys !== 'noTax');
+  dom.breakdownSystem.innerHTML = systems
+    .map(sys => `<option value="${sys}">${systemMeta[sys].label}</option>`)
+    .join('');
+
+  if (systems.includes(prev)) {
+    dom.breakdownSystem.value = prev;
+  } else if (systems.includes('current')) {
+    dom.breakdownSystem.value = 'current';
+  }
+}
+
+function formatRate(rate) {
+  return `${Number(rate).toLocaleString('nl-NL', { maximumFractionDigits: 2 })}%`;
+}
+
+// Only amounts that are actually in play; the sign of debt categories stays visible
+function formatBrackets(brackets) {
+  if (!brackets) return '';
+  return brackets
+    .filter(b => b.amount !== 0)
+    .map(b => {
+      const value = b.tax !== undefined ? `belasting ${formatEUR(b.tax)}` : `rendement ${formatEUR(b.return)}`;
+      return `${b.label}: ${formatEUR(b.amount)}<span class="cell-sub">${value}</span>`;
+    })
+    .join('<br>');
+}
+
+// Columns are shown only when at least one year of the chosen system fills them
+const breakdownColumns = [
+  { label: 'Jaar', value: d => (d.regime ? `${d.year}<span class="cell-sub">${systemMeta[d.regime].label}</span>` : d.year) },
+  { label: 'Vermogen 1 jan', key: 'startValue', value: d => formatEUR(d.startValue) },
+  { label: 'Rendement', key: 'actualReturn', value: d => formatEUR(d.actualReturn) },
+  { label: 'Kosten', key: 'costs', value: d => formatEUR(d.costs) },
+  { label: 'Kostprijs', key: 'costBasis', value: d => formatEUR(d.costBasis) },
+  { label: 'Gerealiseerd', key: 'realisedGain', value: d => formatEUR(d.realisedGain) },
+  { label: 'Vrijstelling', key: 'exemption', value: d => formatEUR(d.exemption) },
+  { label: 'Grondslag', key: 'grondslag', value: d => formatEUR(d.grondslag) },
+  { label: 'Forfaitair rendement', key: 'fictitiousReturn', value: d => formatEUR(d.fictitiousReturn) + (d.counterEvidenceApplied ? '<span class="cell-sub">tegenbewijs</span>' : '') },
+  { label: 'Schijven / categorieën', key: 'brackets', value: d => formatBrackets(d.brackets) },
+  { label: 'Verlies verrekend', key: 'lossUsed', value: d => formatEUR(d.lossUsed) },
+  { label: 'Verlies toegevoegd', key: 'lossAdded', value: d => formatEUR(d.lossAdded) },
+  { label: 'Te verrekenen verlies', key: 'lossCarryForward', value: d => formatEUR(d.lossCarryForward) },
+  { label: 'Tarief', key: 'rate', value: d => formatRate(d.rate) },
+  { label: 'Belasting', value: d => formatEUR(d.tax) },
+  { label: 'Uitgekeerd', key: 'payout', value: d => formatEUR(d.payout) }
+];
+
+function renderBreakdownTable() {
+  if (!dom.breakdownTable || !lastBreakdown || !lastBreakdown.breakdown) return;
+  const sys = dom.breakdownSystem.value;
+  // Shown in the same value mode as the charts
+  const shown = applyValueMode(lastBreakdown);
+  const rows = shown.breakdown[sys];
+
+  if (!rows || rows.length === 0) {
+    dom.breakdownTable.innerHTML = '<p class="results-note" style="padding: 1rem;">Geen jaren om te tonen.</p>';
+    return;
+  }
+
+  const columns = breakdownColumns.filter(col => !col.key || rows.some(d => d[col.key] !== undefined));
+  const cell = (col, d) => (col.key && d[col.key] === undefined ? '–' : col.value(d));
+
+  dom.breakdownTable.innerHTML = `
+    <table class="results-table">
+      <thead>
+        <tr>${columns.map(col => `<th>${col.label}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${rows.map(d => `<tr>${columns.map(col => `<td>${cell(col, d)}</td>`).join('')}</tr>`).join('')}
+      </tbody>
+    </table>`;
+
+  if (dom.breakdownDesc) {
+    const descriptions = {
+      actualReturn: 'Belasting over de winst op verkopen van elk jaar; in het laatste jaar wordt alles verkocht',
+      bv: 'Vpb over het rendement na kosten en box 2 over uitkeringen; bij liquidatie in het laatste jaar box 2 over de waarde boven het gestorte kapitaal',
+      pension: 'Teruggave van de box 1-aftrek (tot de jaarruimte) als negatieve belasting, box 1 over de uitkeringen en over het restant in het laatste jaar'
+    };
+    const { real } = shown;
+    const amounts = real ? `reële bedragen, euro's van ${real.baseYear}` : 'nominale bedragen';
+    dom.breakdownDesc.textContent = `${descriptions[sys]
+      || 'Grondslag, schijven, vrijstelling en verliesverrekening achter de belasting van elk jaar'} (${amounts})`;
+  }
+}
+
+// ── Export ──
+let lastExport = null;
+
+function selectedText(select) {
+  return select && select.selectedIndex >= 0 ? select.options[select.selectedIndex].text : '';
+}
+
+// Everything that shaped the run, as label/value pairs for the inputs sheet
+function readExportInputs(result, activeSystems) {
+  const sleeves = readSleeves();
+  const withdrawalMode = getWithdrawalMode();
+  const inputs = [
+    ['Startkapitaal', parseNumberOrDefault(dom.startCapital.value, 150000)],
+    ['Inleg per maand', dom.monthlyContribution ? Math.max(0, parseFloat(dom.monthlyContribution.value) || 0) : 0],
+    ['Inleg CPI-geïndexeerd', dom.cpiToggle && dom.cpiToggle.checked ? 'ja' : 'nee'],
+    ['Index', selectedText(dom.indexSelect)],
+    ['Periode', `${dom.yearStart.value}–${dom.yearEnd.value}`],
+    ['Simulatiemodus', selectedText(dom.simulationMode)],
+    ['Valuta-omrekening', selectedText(dom.fxMode)],
+    ['Bedragen', result.real ? `reëel, euro's van ${result.real.baseYear}` : 'nominaal'],
+    ['Fiscale partner', dom.fiscalPartner.checked ? 'ja' : 'nee'],
+    ['Spaargeld (%)', sleeves.allocSavings],
+    ['Beleggingen (%)', sleeves.allocInvest],
+    ['Schuld', sleeves.debt],
+    ['Spaarrente (%)', sleeves.savingsRate],
+    ['Schuldrente (%)', sleeves.debtRate],
+    ['Beleggingen in 2028+', selectedText(dom.investClass)],
+    ['WOZ-waarde', readProperty().value],
+    ['Opnames', withdrawalMode === 'none' ? 'geen' : `${selectedText(dom.withdrawalMode)} vanaf ${dom.withdrawalStart.value}`],
+    ...(withdrawalMode === 'fixed' ? [['Opname per maand', parseNumberOrDefault(dom.withdrawalAmount.value, 0)]] : []),
+    ...(withdrawalMode === 'percent' ? [['Opname per jaar (%)', parseNumberOrDefault(dom.withdrawalPercent.value, 0)]] : []),
+    ['Gebeurtenissen', readEvents().length]
+  ];
+
+  // Empty overrides follow the statutory table of each year
+  for (const sys of activeSystems) {
+    for (const [key, value] of Object.entries(configs[sys] || {})) {
+      const shown = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+      inputs.push([`${systemMeta[sys].label}: ${key}`, shown ?? 'tabel per jaar']);
+    }
+  }
+  return inputs;
+}
+
+// xlsx is large, so the export module is only loaded when it's used
+async function exportResults(format) {
+  if (!lastExport) return;
+  const { buildExportTables, downloadWorkbook, toCsv, downloadCsv } = await import('./export.js');
+  const { result, annualised, activeSystems } = lastExport;
+  const labels = Object.fromEntries(Object.entries(systemMeta).map(([sys, meta]) => [sys, meta.label]));
+  const basename = `box3_${dom.yearStart.value}-${dom.yearEnd.value}`;
+
+  if (format === 'csv') {
+    downloadCsv(toCsv(result, { systems: activeSystems, labels }), `${basename}.csv`);
+    return;
+  }
+
+  const tables = buildExportTables(result, {
+    systems: activeSystems,
+    labels,
+    inputs: readExportInputs(result, activeSystems),
+    annualised
+  });
+  downloadWorkbook(tables, `${basename}.xlsx`);
+}
+
+// ── Shareable link (state in the URL hash) ──
+
+// Every input that shapes a result; only values that differ from the page defaults go in the link
+const shareFields = [
+  'startCapital', 'monthlyContribution', 'cpiToggle', 'indexSelect', 'yearStart', 'yearEnd',
+  'fiscalPartner', 'simulationMode', 'valueMode', 'fxMode', 'hedgeCost',
+  'mcPaths', 'mcBlockLength', 'btHorizon', 'blendRebalance', 'blendThreshold',
+  'allocSavings', 'allocInvest', 'savingsInterest', 'debtAmount', 'debtInterest', 'investClass',
+  'propertyValue', 'propertyGrowth', 'propertyRent', 'propertyCosts', 'propertyPurchasePrice',
+  'mortgageAmount', 'mortgageRate', 'mortgageRepayment',
+  'withdrawalMode', 'withdrawalStart', 'withdrawalAmount', 'withdrawalPercent', 'withdrawalCpi',
+  'oldDeemedReturn', 'oldTaxRate', 'oldExemption',
+  'oldMethodYear', 'omTaxRate', 'omExemption', 'omSavingsRate', 'omInvestRate', 'omBracket1', 'omBracket2',
+  'curTaxRate', 'curExemption', 'curSavingsRate', 'curInvestRate', 'curDebtRate', 'curDebtThreshold', 'curCounterEvidence',
+  'futTaxRate', 'futFreeReturn', 'futLossThreshold', 'dlCounterEvidence',
+  'arExemption', 'arBracket1Rate', 'arBracket1Limit', 'arBracket2Rate',
+  'arExemptionPeriod', 'arLotMethod', 'arSaleMode', 'arSalePercent', 'arSaleAmounts',
+  'bvVpbRate1', 'bvVpbBracket', 'bvVpbRate2', 'bvBox2Rate1', 'bvBox2Bracket', 'bvBox2Rate2',
+  'bvCosts', 'bvPayoutRate', 'bvFbi', 'bvLiquidate', 'bvBreakEvenAgainst',
+  'pensionDeductionRate', 'pensionRetirementRate', 'pensionPayoutYears', 'pensionPayoutStart', 'pensionMaxDeduction'
+];
+
+// Fields whose options depend on the chosen index; they are set after the years are filled
+const yearFields = ['yearStart', 'yearEnd', 'withdrawalStart'];
+
+let defaultFieldValues = {};
+
+function readFieldValue(id) {
+  const el = document.getElementById(id);
+  if (!el) return undefined;
+  return el.type === 'checkbox' ? el.checked : el.value;
+}
+
+function writeFieldValue(id, value) {
+  const el = document.getElementById(id);
+  if (!el || value === undefined) return;
+  if (el.type === 'checkbox') {
+    el.checked = Boolean(value);
+  } else {
+    el.value = value;
+  }
+}
+
+function captureDefaultFields() {
+  defaultFieldValues = Object.fromEntries(shareFields.map(id => [id, readFieldValue(id)]));
+}
+
+// Custom series used by the index or the blend, packed into the link
+function readSharedSeries(blend) {
+  const keys = new Set();
+  if (parseSeriesKey(dom.indexSelect.value) !== null) keys.add(dom.indexSelect.value);
+  if (dom.indexSelect.value === 'blend') {
+    Object.entries(blend).forEach(([key, weight]) => {
+      if (parseSeriesKey(key) !== null && Number(weight) > 0) keys.add(key);
+    });
+  }
+
+  const stored = loadCustomSeries();
+  const series = {};
+  keys.forEach(key => {
+    const s = stored[parseSeriesKey(key)];
+    if (s) series[key] = { name: s.name, currency: s.currency, notes: s.notes, ...packReturns(s.returns) };
+  });
+  return series;
+}
+
+function readShareState() {
+  const fields = {};
+  shareFields.forEach(id => {
+    const value = readFieldValue(id);
+    if (value !== undefined && value !== defaultFieldValues[id]) fields[id] = value;
+  });
+
+  const blend = {};
+  if (dom.indexSelect.value === 'blend' && dom.blendWeights) {
+    dom.blendWeights.querySelectorAll('input[data-series]').forEach(input => {
+      blend[input.dataset.series] = input.value;
+    });
+  }
+
+  return {
+    fields,
+    systems: getActiveSystems(),
+    events: readEvents(),
+    blend,
+    series: readSharedSeries(blend)
+  };
+}
+
+// Shared series are stored locally. A series the receiver already has with the
+// same values is reused; otherwise it's added as "<name> (gedeeld)". Ids that
+// createSeriesId could not have made get a fresh one.
+function importSharedSeries(shared = {}) {
+  const stored = loadCustomSeries();
+  const keyMap = {};
+  let changed = false;
+
+  for (const [key, packed] of Object.entries(shared)) {
+    const id = parseSeriesKey(key);
+    if (id === null || !packed || typeof packed !== 'object') continue;
+    const returns = unpackReturns(packed);
+    const existing = isValidSeriesId(id) ? stored[id] : undefined;
+
+    if (existing && JSON.stringify(packReturns(existing.returns)) === JSON.stringify(packReturns(returns))) {
+      keyMap[key] = key;
+      continue;
+    }
+
+    const name = String(packed.name || 'Gedeelde reeks');
+    const meta = { currency: String(packed.currency || 'EUR'), notes: String(packed.notes || ''), returns };
+    if (existing) {
+      keyMap[key] = toSeriesKey(addSeries(stored, { ...meta, name: `${name} (gedeeld)` }));
+    } else if (!isValidSeriesId(id)) {
+      keyMap[key] = toSeriesKey(addSeries(stored, { ...meta, name }));
+    } else {
+      stored[id] = { ...meta, name: packed.name ? name : id };
+      keyMap[key] = key;
+    }
+    changed = true;
+  }
+
+  if (changed) saveCustomSeries(stored);
+  return keyMap;
+}
+
+function applyShareState(state) {
+  const keyMap = importSharedSeries(state.series);
+  populateCustomSeriesOptions();
+  renderBlendWeights();
+
+  const fields = { ...defaultFieldValues, ...(state.fields || {}) };
+  if (keyMap[fields.indexSelect]) fields.indexSelect = keyMap[fields.indexSelect];
+
+  shareFields
+    .filter(id => !yearFields.includes(id))
+    .forEach(id => writeFieldValue(id, fields[id]));
+  // A series that no longer exists falls back to the default index
+  if (dom.indexSelect.value !== fields.indexSelect) dom.indexSelect.value = defaultFieldValues.indexSelect;
+
+  if (dom.blendWeights) {
+    const inputs = new Map();
+    dom.blendWeights.querySelectorAll('input[data-series]').forEach(input => inputs.set(input.dataset.series, input));
+    Object.entries(state.blend || {}).forEach(([key, weight]) => {
+      const input = inputs.get(keyMap[key] || key);
+      if (input) input.value = weight;
+    });
+  }
+
+  populateYearSelectors(dom.indexSelect.value);
+  yearFields.forEach(id => {
+    const el = document.getElementById(id);
+    if (el && [...el.options].some(opt => opt.value === String(fields[id]))) el.value = fields[id];
+  });
+
+  if (Array.isArray(state.systems)) {
+    document.querySelectorAll('.system-toggle').forEach(toggle => {
+      toggle.checked = state.systems.includes(toggle.dataset.system);
+    });
+  }
+
+  if (dom.eventList) {
+    dom.eventList.innerHTML = '';
+    (state.events || []).forEach(event => renderEventRow(event));
+  }
+
+  syncBlendPanel();
+  syncOldMethodPlaceholders();
+}
+
+// A link is untrusted input; one that can't be applied falls back to the defaults
+function restoreShareState(state) {
+  try {
+    applyShareState(state);
+  } catch {
+    applyShareState({});
+  }
+}
+
+async function copyShareLink() {
+  const url = `${window.location.href.split('#')[0]}${encodeState(readShareState())}`;
+  history.replaceState(null, '', url);
+
+  try {
+    await navigator.clipboard.writeText(url);
+  } catch {
+    window.prompt('Kopieer deze link:', url);
+    return;
+  }
+
+  const label = dom.copyLinkBtn.textContent;
+  dom.copyLinkBtn.textContent = '✓ Link gekopieerd';
+  dom.copyLinkBtn.classList.add('is-saved');
+  setTimeout(() => {
+    dom.copyLinkBtn.textContent = label;
+    dom.copyLinkBtn.classList.remove('is-saved');
+  }, 1500);
+}
+
+// ── Saved scenarios ──
+let lastRun = null;
+const comparedScenarioIds = new Set();
+const scenarioDashes = [[8, 4], [2, 3], [12, 4, 2, 4], [4, 6]];
+
+// Re-run a saved scenario with today's data and code, in the current value mode
+function runSavedScenario(scenario) {
+  const { run } = scenario;
+  const returns = getIndexSeries(run.source.index, run.source)
+    .filter(r => r.year >= run.startYear && r.year <= run.endYear);
+  if (returns.length === 0) return null;
+  return applyValueMode(runSimulation(run.startCapital, returns, run.configs, run.contributionsByYear, run.options));
+}
+
+function runComparedScenarios() {
+  return loadScenarios()
+    .filter(s => comparedScenarioIds.has(s.id))
+    .map(scenario => ({ scenario, result: runSavedScenario(scenario) }))
+    .filter(c => c.result);
+}
+
+// Aligns everything on the union of years; scenarios get one dashed line per active system
+function withScenarioOverlays(labels, datasets, compared, key, labelKey, activeSystems) {
+  if (compared.length === 0) return { labels, datasets };
+
+  const allLabels = [...new Set([labels, ...compared.map(c => c.result[labelKey])].flat().map(Number))]
+    .sort((a, b) => a - b);
+  const align = (values, from) => {
+    const byYear = new Map(from.map((year, i) => [Number(year), values[i]]));
+    return allLabels.map(year => (byYear.has(year) ? byYear.get(year) : null));
+  };
+
+  const base = datasets.map(d => {
+    const aligned = { ...d, data: align(d.data, labels) };
+    ['flags', 'pointStyle', 'pointRadius'].forEach(prop => {
+      if (Array.isArray(d[prop])) aligned[prop] = align(d[prop], labels);
+    });
+    return aligned;
+  });
+
+  const overlays = compared.flatMap(({ scenario, result }, n) => result.systems
+    .filter(sys => activeSystems.includes(sys))
+    .map(sys => ({
+      label: `${scenario.name} · ${systemMeta[sys].label}`,
+      data: align(result[key][sys], result[labelKey]),
+      borderColor: systemMeta[sys].color,
+      backgroundColor: 'transparent',
+      borderDash: scenarioDashes[n % scenarioDashes.length],
+      borderWidth: 2,
+      fill: false,
+      pointRadius: 0,
+      pointHoverRadius: 4
+    })));
+
+  return { labels: allLabels, datasets: [...base, ...overlays] };
+}
+
+function formatSavedAt(iso) {
+  return new Date(iso).toLocaleDateString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+function renderScenarioList() {
+  if (!dom.scenarioList) return;
+  const scenarios = loadScenarios();
+
+  if (scenarios.length === 0) {
+    dom.scenarioList.innerHTML = '<p class="config-note">Nog geen opgeslagen scenario\'s.</p>';
+    return;
+  }
+
+  dom.scenarioList.innerHTML = scenarios.map(s => {
+    const summary = Object.entries(s.summary || {})
+      .filter(([sys]) => systemMeta[sys])
+      .map(([sys, v]) => `${systemMeta[sys].label}: ${formatEUR(v.finalValue)}`)
+      .join(' • ');
+    return `
+      <div class="scenario-row" data-scenario="${escapeHtml(s.id)}">
+        <label class="scenario-compare">
+          <input type="checkbox" class="scenario-toggle"${comparedScenarioIds.has(s.id) ? ' checked' : ''} />
+          <span class="scenario-name">${escapeHtml(s.name)}</span>
+        </label>
+        <span class="scenario-meta">${formatSavedAt(s.savedAt)} • ${escapeHtml(s.run.startYear)}–${escapeHtml(s.run.endYear)}</span>
+        <button type="button" class="btn btn-secondary scenario-load">Laden</button>
+        <button type="button" class="event-remove scenario-delete" aria-label="Verwijderen">×</button>
+        ${summary ? `<div class="scenario-summary">${summary}</div>` : ''}
+      </div>`;
+  }).join('');
+}
+
+function saveCurrentScenario() {
+  if (!lastRun || !lastBreakdown) return;
+  const name = dom.scenarioName.value.trim()
+    || `${formatEUR(lastRun.startCapital)} ${selectedText(dom.indexSelect)}, ${dom.fiscalPartner.checked ? 'partner' : 'alleenstaand'}`;
+
+  const summary = {};
+  getActiveSystems().forEach(sys => {
+    const values = lastBreakdown.portfolioValues[sys];
+    const taxes = lastBreakdown.cumulativeTax[sys];
+    summary[sys] = { finalValue: values[values.length - 1], totalTax: taxes[taxes.length - 1] ?? 0 };
+  });
+
+  storeScenario(name, { state: readShareState(), run: lastRun, summary });
+  dom.scenarioName.value = '';
+  renderScenarioList();
+}
+
+// ── Monte Carlo mode ──
+function updateMonteCarlo(startCapital, returns, contributionsByYear, activeSystems) {
+  const sourceReturns = getSourceReturns();
+  if (sourceReturns.length === 0) return;
+
+  const mcCharts = [charts.portfolio, charts.annualTax, charts.totalTax];
+  setChartsLoading(mcCharts, 0);
+
+  runTask('monteCarlo', {
+    startCapital,
+    sourceReturns,
+    years: returns.map(r => r.year),
+    configs,
+    contributionsByYear,
+    options: {
+      paths: Math.min(10000, Math.max(100, parseNumberOrDefault(dom.mcPaths.value, 1000))),
+      blockLength: parseNumberOrDefault(dom.mcBlockLength.value, 1),
+      simulation: readSimulationOptions(returns[0].year, returns[returns.length - 1].year)
+    }
+  }, {
+    onProgress: (done, total) => setChartsLoading(mcCharts, done / total)
+  }).then(nominal => {
+    const result = applyValueMode(nominal);
+    setChartsLoading(mcCharts, false);
+
+    updateChartData(
+      charts.portfolio,
+      result.labels,
+      buildFanDatasets(result.portfolioValues, result.systems, activeSystems)
+    );
+
+    updateChartData(
+      charts.annualTax,
+      result.taxLabels,
+      buildMedianDatasets(result.annualTax, result.systems, activeSystems)
+    );
+
+    updateChartData(
+      charts.totalTax,
+      result.taxLabels,
+      buildFanDatasets(result.cumulativeTax, result.systems, activeSystems)
+    );
+
+    updateSummary(result, activeSystems);
+  }).catch(err => {
+    if (isCancelled(err)) return;
+    setChartsLoading(mcCharts, false);
+    dom.summaryGrid.innerHTML = `<p style="color: var(--text-muted); padding: 1rem; text-align: center;">Monte Carlo mislukt: ${escapeHtml(err.message)}</p>`;
+  });
+}
+
+// ── Rolling backtest mode ──
+let lastBacktest = null;
+
+function updateBacktest(startCapital, baseContrib, cpiEnabled, activeSystems) {
+  const sourceReturns = getSourceReturns();
+  const horizon = Math.max(1, Math.round(parseNumberOrDefault(dom.btHorizon.value, 10)));
+
+  // The worker only gets data, so contributions and options are resolved per window here;
+  // withdrawals start the same number of years into every window
+  const contributionsByStart = {};
+  const optionsByStart = {};
+  getRollingWindows(sourceReturns, horizon).forEach(slice => {
+    const windowStart = slice[0].year;
+    const windowEnd = slice[slice.length - 1].year;
+    contributionsByStart[windowStart] = buildContributionsByYear(baseContrib, windowStart, windowEnd, cpiEnabled);
+    optionsByStart[windowStart] = readSimulationOptions(windowStart, windowEnd, windowStart - parseInt(dom.yearStart.value));
+  });
+
+  setChartsLoading([charts.backtest], 0);
+
+  runTask('backtest', {
+    startCapital,
+    sourceReturns,
+    configs,
+    horizon,
+    contributionsByStart,
+    optionsByStart
+  }).then(backtest => {
+    lastBacktest = getValueMode() !== 'nominal' ? backtestToRealEuros(backtest, getValueMode()) : backtest;
+    setChartsLoading([charts.backtest], false);
+    renderBacktest(horizon, activeSystems);
+  }).catch(err => {
+    if (isCancelled(err)) return;
+    setChartsLoading([charts.backtest], false);
+    if (dom.backtestDesc) dom.backtestDesc.textContent = `Backtest mislukt: ${err.message}`;
+  });
+}
+
+function renderBacktest(horizon, activeSystems) {
+  if (dom.backtestDesc) {
+    dom.backtestDesc.textContent = lastBacktest.windows.length > 0
+      ? `Eindvermogen na ${horizon} jaar voor ${lastBacktest.windows.length} mogelijke startjaren`
+      : `Te weinig data voor een horizon van ${horizon} jaar`;
+  }
+
+  const finalValues = {};
+  lastBacktest.systems.forEach(sys => {
+    finalValues[sys] = lastBacktest.windows.map(w => w.finalValues[sys]);
+  });
+
+  updateChartData(
+    charts.backtest,
+    lastBacktest.startYears,
+    buildDatasets(finalValues, lastBacktest.systems, activeSystems)
+  );
+
+  populateBacktestSort(activeSystems);
+  renderBacktestTable(activeSystems);
+}
+
+function populateBacktestSort(activeSystems) {
+  if (!dom.backtestSort) return;
+  const prev = dom.backtestSort.value;
+  dom.backtestSort.innerHTML = activeSystems
+    .map(sys => `<option value="${sys}">${systemMeta[sys].label}</option>`)
+    .join('');
+
+  if (activeSystems.includes(prev)) {
+    dom.backtestSort.value = prev;
+  } else if (activeSystems.includes('future')) {
+    dom.backtestSort.value = 'future';
+  }
+}
+
+function renderBacktestTable(activeSystems) {
+  if (!dom.backtestTable || !lastBacktest) return;
+  const bt = lastBacktest;
+  const filtered = bt.systems.filter(sys => activeSystems.includes(sys));
+
+  if (bt.windows.length === 0 || filtered.length === 0) {
+    dom.backtestTable.innerHTML = '<p class="results-note" style="padding: 1rem;">Geen vensters om te tonen.</p>';
+    return;
+  }
+
+  const sortSys = filtered.includes(dom.backtestSort.value) ? dom.backtestSort.value : filtered[0];
+  const ranked = [...bt.windows].sort((a, b) => b.finalValues[sortSys] - a.finalValues[sortSys]);
+
+  const cell = (value, tax) => `<td>${formatEUR(value)}<span class="cell-sub">belasting ${formatEUR(tax)}</span></td>`;
+
+  const rows = ranked.map((w, i) => `
+    <tr>
+      <td>${i + 1}. ${w.startYear}–${w.endYear}</td>
+      ${filtered.map(sys => cell(w.finalValues[sys], w.totalTax[sys])).join('')}
+    </tr>`).join('');
+
+  const statRow = (label, key) => `
+    <tr>
+      <td>${label}</td>
+      ${filtered.map(sys => cell(bt.stats[sys].finalValue[key], bt.stats[sys].totalTax[key])).join('')}
+    </tr>`;
+
+  let note = '';
+  if (filtered.includes('future') && filtered.includes('current')) {
+    const wins = countWindowsBetter(bt, 'future', 'current');
+    note = `<p class="results-note">${systemMeta.future.label} eindigt in ${wins} van de ${bt.windows.length} vensters hoger dan ${systemMeta.current.label}.</p>`;
+  }
+
+  dom.backtestTable.innerHTML = `
+    <table class="results-table">
+      <thead>
+        <tr>
+          <th>Startjaar</th>
+          ${filtered.map(sys => `<th style="color: ${systemMeta[sys].color}">${systemMeta[sys].label}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        ${statRow('Minimum', 'min')}
+        ${statRow('Mediaan', 'median')}
+        ${statRow('Maximum', 'max')}
+      </tfoot>
+    </table>
+    ${note}`;
 }
 
 // ── Event handlers ──
@@ -658,29 +2056,136 @@ function setupEventListeners() {
 
   const debouncedUpdate = debounced(update);
 
+  // Restored when the "add custom series" option is picked
+  let previousIndex = dom.indexSelect.value;
+
   // Main controls
   dom.startCapital.addEventListener('input', debouncedUpdate);
   if (dom.monthlyContribution) dom.monthlyContribution.addEventListener('input', debouncedUpdate);
   dom.yearStart.addEventListener('change', update);
   dom.yearEnd.addEventListener('change', update);
   dom.fiscalPartner.addEventListener('change', update);
+  if (dom.curCounterEvidence) dom.curCounterEvidence.addEventListener('change', update);
+  if (dom.dlCounterEvidence) dom.dlCounterEvidence.addEventListener('change', update);
+  [dom.investClass, dom.arExemptionPeriod, dom.arLotMethod, dom.arSaleMode, dom.bvFbi, dom.bvLiquidate, dom.bvBreakEvenAgainst].filter(Boolean).forEach(input => {
+    input.addEventListener('change', update);
+  });
+  if (dom.eventList && dom.addEventBtn) {
+    dom.addEventBtn.addEventListener('click', () => {
+      renderEventRow();
+      update();
+    });
+    dom.eventList.addEventListener('click', (e) => {
+      const button = e.target.closest('.event-remove');
+      if (!button) return;
+      button.closest('.event-row').remove();
+      update();
+    });
+    dom.eventList.addEventListener('input', debouncedUpdate);
+    dom.eventList.addEventListener('change', debouncedUpdate);
+  }
+  [dom.withdrawalMode, dom.withdrawalStart, dom.withdrawalCpi].filter(Boolean).forEach(input => {
+    input.addEventListener('change', update);
+  });
+  if (dom.simulationMode) dom.simulationMode.addEventListener('change', update);
+  if (dom.mcPaths) dom.mcPaths.addEventListener('input', debouncedUpdate);
+  if (dom.mcBlockLength) dom.mcBlockLength.addEventListener('input', debouncedUpdate);
+  if (dom.btHorizon) dom.btHorizon.addEventListener('input', debouncedUpdate);
+  if (dom.backtestSort) {
+    dom.backtestSort.addEventListener('change', () => renderBacktestTable(getActiveSystems()));
+  }
+  if (dom.breakdownSystem) dom.breakdownSystem.addEventListener('change', renderBreakdownTable);
+  if (dom.exportXlsxBtn) dom.exportXlsxBtn.addEventListener('click', () => exportResults('xlsx'));
+  if (dom.exportCsvBtn) dom.exportCsvBtn.addEventListener('click', () => exportResults('csv'));
+  if (dom.copyLinkBtn) dom.copyLinkBtn.addEventListener('click', copyShareLink);
+
+  // Saved scenarios
+  if (dom.saveScenarioBtn) dom.saveScenarioBtn.addEventListener('click', saveCurrentScenario);
+  if (dom.scenarioList) {
+    dom.scenarioList.addEventListener('change', (e) => {
+      const row = e.target.closest('.scenario-row');
+      if (!row || !e.target.classList.contains('scenario-toggle')) return;
+      if (e.target.checked) {
+        comparedScenarioIds.add(row.dataset.scenario);
+      } else {
+        comparedScenarioIds.delete(row.dataset.scenario);
+      }
+      update();
+    });
+    dom.scenarioList.addEventListener('click', (e) => {
+      const row = e.target.closest('.scenario-row');
+      if (!row) return;
+      const scenario = loadScenarios().find(s => s.id === row.dataset.scenario);
+      if (!scenario) return;
+      if (e.target.closest('.scenario-load')) {
+        applyShareState(scenario.state);
+        previousIndex = dom.indexSelect.value;
+        update();
+      } else if (e.target.closest('.scenario-delete')) {
+        if (!confirm(`Scenario "${scenario.name}" verwijderen?`)) return;
+        deleteScenario(scenario.id);
+        comparedScenarioIds.delete(scenario.id);
+        renderScenarioList();
+        update();
+      }
+    });
+  }
+
+  // Currency conversion can change which years are available (FX rates needed)
+  if (dom.fxMode) {
+    dom.fxMode.addEventListener('change', () => {
+      populateYearSelectors(dom.indexSelect.value, true);
+      update();
+    });
+  }
+  if (dom.hedgeCost) dom.hedgeCost.addEventListener('input', debouncedUpdate);
+  if (dom.valueMode) dom.valueMode.addEventListener('change', update);
+
+  // Series saved on the data page in another tab
+  window.addEventListener('storage', (e) => {
+    if (e.key !== 'customSeries') return;
+    populateCustomSeriesOptions();
+    previousIndex = dom.indexSelect.value;
+    renderBlendWeights();
+    populateYearSelectors(dom.indexSelect.value, true);
+    update();
+  });
+
+  // A pasted link in the same tab only changes the hash
+  window.addEventListener('hashchange', () => {
+    const state = decodeState(window.location.hash);
+    if (!state) return;
+    restoreShareState(state);
+    previousIndex = dom.indexSelect.value;
+    update();
+  });
 
   dom.indexSelect.addEventListener('change', () => {
-    const isCustom = dom.indexSelect.value === 'custom';
-
-    if (isCustom) {
-      const customData = loadCustomReturns();
-      if (!customData || Object.keys(customData).length === 0) {
-        alert('Je hebt nog geen eigen data ingevoerd. Ga naar de Marktdata pagina om eigen rendementen in te voeren.');
-        dom.indexSelect.value = 'sp500';
-        return;
+    // Custom series are created on the data page
+    if (dom.indexSelect.value === 'custom') {
+      if (confirm('Eigen reeksen voer je in of upload je op de Marktdata pagina. Wil je daarheen gaan?')) {
+        window.location.href = '/data.html';
       }
+      dom.indexSelect.value = previousIndex;
+      return;
     }
+    previousIndex = dom.indexSelect.value;
 
     populateYearSelectors(dom.indexSelect.value);
+    syncBlendPanel();
     update();
   });
 
+  // Blend inputs change the shared year range, so repopulate years first
+  const onBlendChange = () => {
+    syncBlendPanel();
+    populateYearSelectors('blend', true);
+    update();
+  };
+  if (dom.blendWeights) dom.blendWeights.addEventListener('input', debounced(onBlendChange));
+  if (dom.blendRebalance) dom.blendRebalance.addEventListener('change', onBlendChange);
+  if (dom.blendThreshold) dom.blendThreshold.addEventListener('input', debounced(onBlendChange));
+
   // Config inputs — all debounced
   const configInputs = [
     dom.oldDeemedReturn, dom.oldTaxRate, dom.oldExemption,
@@ -688,15 +2193,23 @@ function setupEventListeners() {
     dom.omInvestRate, dom.omBracket1, dom.omBracket2,
     dom.curTaxRate, dom.curExemption, dom.curSavingsRate,
     dom.curInvestRate, dom.curDebtRate, dom.curDebtThreshold,
-    dom.curAllocSavings, dom.curAllocInvest, dom.curAllocDebt,
+    dom.allocSavings, dom.allocInvest, dom.savingsInterest,
+    dom.debtAmount, dom.debtInterest,
+    dom.propertyValue, dom.propertyGrowth, dom.propertyRent, dom.propertyCosts, dom.propertyPurchasePrice,
+    dom.mortgageAmount, dom.mortgageRate, dom.mortgageRepayment,
+    dom.withdrawalAmount, dom.withdrawalPercent,
     dom.futTaxRate, dom.futFreeReturn, dom.futLossThreshold,
-    dom.arExemption, dom.arBracket1Rate, dom.arBracket1Limit, dom.arBracket2Rate
+    dom.arExemption, dom.arBracket1Rate, dom.arBracket1Limit, dom.arBracket2Rate,
+    dom.arSalePercent, dom.arSaleAmounts,
+    dom.bvVpbRate1, dom.bvVpbBracket, dom.bvVpbRate2, dom.bvBox2Rate1, dom.bvBox2Bracket,
+    dom.bvBox2Rate2, dom.bvCosts, dom.bvPayoutRate,
+    dom.pensionDeductionRate, dom.pensionRetirementRate, dom.pensionPayoutYears, dom.pensionPayoutStart, dom.pensionMaxDeduction
   ].filter(Boolean);
 
-  // Old method year preset — populates fields with that year's values
+  // Old method parameter year — pins the table to one year instead of following the simulation
   if (dom.oldMethodYear) {
     dom.oldMethodYear.addEventListener('change', () => {
-      applyOldMethodPreset(dom.oldMethodYear.value);
+      syncOldMethodPlaceholders();
       update();
     });
   }
@@ -794,17 +2307,28 @@ function setupEventListeners() {
 // ── Initialize ──
 function init() {
   cacheDom();
+  populateCustomSeriesOptions();
+  renderBlendWeights();
+  renderParamTables();
+  syncOldMethodPlaceholders();
 
   // Populate year selectors
   populateYearSelectors('sp500');
 
+  // Restore a shared scenario from the URL (defaults are captured first to diff against)
+  captureDefaultFields();
+  const sharedState = decodeState(window.location.hash);
+  if (sharedState) restoreShareState(sharedState);
+
   // Create charts
   charts.portfolio = createChart('chartPortfolio', 'Vermogensgroei', '€');
   charts.annualTax = createChart('chartAnnualTax', 'Jaarlijkse belasting', '€');
   charts.totalTax = createChart('chartTotalTax', 'Totaal betaalde belasting', '€');
+  charts.backtest = createChart('chartBacktest', 'Backtest eindvermogen', '€');
 
   // Setup event listeners
   setupEventListeners();
+  renderScenarioList();
 
   // Run initial simulation
   update();
@@ -0,0 +1,105 @@
+/**
+ * Rolling-Window Backtest
+ *
+ * Runs the simulation for every possible start year of a fixed horizon within
+ * a historical series, so results do not hinge on one hand-picked window.
+ */
+
+import { runSimulation } from './simulation.js';
+
+/**
+ * Split a sorted series into every run of `horizon` consecutive years.
+ * Windows that would span a gap in the data are skipped.
+ */
+export function getRollingWindows(sourceReturns, horizon) {
+  const windows = [];
+  const length = Math.round(Number(horizon) || 0);
+  if (length <= 0) return windows;
+
+  for (let i = 0; i + length <= sourceReturns.length; i++) {
+    const slice = sourceReturns.slice(i, i + length);
+    const contiguous = slice.every((r, j) => j === 0 || r.year === slice[j - 1].year + 1);
+    if (contiguous) windows.push(slice);
+  }
+  return windows;
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return 0;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+function describe(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    min: sorted.length > 0 ? sorted[0] : 0,
+    median: median(sorted),
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+  };
+}
+
+/**
+ * Run the rolling backtest
+ *
+ * @param {number} startCapital - Initial investment amount in EUR
+ * @param {Array<{year: number, return: number}>} sourceReturns - Full historical series (sorted)
+ * @param {Object} configs - Tax system configs (same as runSimulation)
+ * @param {number} horizon - Window length in years
+ * @param {Function} contributionsFor - (startYear, endYear) => contributionsByYear for that window
+ * @param {Object|Function} simulationOptions - Passed to runSimulation (sleeves etc.), or
+ *   (startYear, endYear) => options when they depend on the window (e.g. withdrawal start)
+ * @returns {Object} One entry per start year plus spread statistics per system
+ */
+export function runRollingBacktest(startCapital, sourceReturns, configs, horizon, contributionsFor = () => 0, simulationOptions = {}) {
+  let systems = [];
+  const windows = getRollingWindows(sourceReturns, horizon).map(slice => {
+    const startYear = slice[0].year;
+    const endYear = slice[slice.length - 1].year;
+    const options = typeof simulationOptions === 'function'
+      ? simulationOptions(startYear, endYear)
+      : simulationOptions;
+    const result = runSimulation(startCapital, slice, configs, contributionsFor(startYear, endYear), options);
+    systems = result.systems;
+
+    const finalValues = {};
+    const totalTax = {};
+    for (const sys of result.systems) {
+      const values = result.portfolioValues[sys];
+      const taxes = result.cumulativeTax[sys];
+      finalValues[sys] = values[values.length - 1];
+      totalTax[sys] = taxes.length > 0 ? taxes[taxes.length - 1] : 0;
+    }
+
+    return { startYear, endYear, finalValues, totalTax };
+  });
+
+  return {
+    horizon: Math.round(Number(horizon) || 0),
+    startYears: windows.map(w => w.startYear),
+    windows,
+    stats: summariseWindows(windows, systems),
+    systems
+  };
+}
+
+/**
+ * Min / median / max of final wealth and total tax per system
+ */
+export function summariseWindows(windows, systems) {
+  const stats = {};
+  for (const sys of systems) {
+    stats[sys] = {
+      finalValue: describe(windows.map(w => w.finalValues[sys])),
+      totalTax: describe(windows.map(w => w.totalTax[sys]))
+    };
+  }
+  return stats;
+}
+
+/**
+ * Number of windows in which system `a` ends with more wealth than system `b`
+ */
+export function countWindowsBetter(backtest, a, b) {
+  return backtest.windows.filter(w => w.finalValues[a] > w.finalValues[b]).length;
+}
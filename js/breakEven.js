@@ -0,0 +1,59 @@
+/**
+ * Break-even Capital
+ *
+ * The start capital from which one system ends with at least as much as
+ * another, e.g. from what amount investing through a holding BV beats Box 3.
+ */
+
+import { runSimulation } from './simulation.js';
+
+const sum = values => values.reduce((total, v) => total + v, 0);
+
+/**
+ * Smallest start capital (rounded up to €1,000) at which `system` ends with at
+ * least as much as `against`. What is ended with is the final wealth plus
+ * everything withdrawn along the way. Fixed costs make a BV worse for small
+ * amounts, so the difference is assumed to grow with the capital; the
+ * crossing point is found by bisection.
+ *
+ * @param {Array<{year: number, return: number}>} returns
+ * @param {Object} configs
+ * @param {Object|number} contributionsByYear
+ * @param {Object} options - Passed to runSimulation (sleeves, withdrawals, events)
+ * @param {Object} params - { system, against, maxCapital, iterations, onProgress }
+ * @returns {?number} Capital in EUR; 0 when `system` is ahead from the start,
+ *   null when it is still behind at `maxCapital`
+ */
+export function findBreakEvenCapital(returns, configs, contributionsByYear, options = {}, params = {}) {
+  const { system = 'bv', against = 'future', maxCapital = 10000000, iterations = 24, onProgress = () => {} } = params;
+  if (returns.length === 0) return null;
+
+  const advantage = capital => {
+    const result = runSimulation(capital, returns, configs, contributionsByYear, options);
+    const total = sys => result.portfolioValues[sys][result.portfolioValues[sys].length - 1] + sum(result.withdrawals[sys]);
+    return total(system) - total(against);
+  };
+
+  if (advantage(maxCapital) < 0) {
+    onProgress(1, 1);
+    return null;
+  }
+  // Without capital and contributions both systems end at zero; that is no lead
+  if (advantage(0) > 0) {
+    onProgress(1, 1);
+    return 0;
+  }
+
+  let low = 0;
+  let high = maxCapital;
+  for (let n = 0; n < iterations; n++) {
+    const mid = (low + high) / 2;
+    if (advantage(mid) >= 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+    onProgress(n + 1, iterations);
+  }
+  return Math.ceil(high / 1000) * 1000;
+}
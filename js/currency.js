@@ -0,0 +1,44 @@
+/**
+ * Currency Conversion
+ *
+ * Turns yearly returns in a foreign currency into EUR returns, using year-end
+ * exchange rates expressed as units of foreign currency per EUR.
+ */
+
+/**
+ * Convert a return map ({ year: pct }) to EUR
+ *
+ * Unhedged, the FX move is compounded with the local return:
+ *   r_EUR = (1 + r_local) × fx[y − 1] / fx[y] − 1
+ * Hedged, the FX move is removed and only the hedging cost remains:
+ *   r_EUR = r_local − hedgeCost
+ *
+ * @param {Object} returns - { year: pct } in the series' own currency
+ * @param {string} currency - Currency of the series ('EUR' is returned as-is)
+ * @param {Object} fxRates - { year: rate } for that currency (units per EUR, year end)
+ * @param {Object} options
+ * @param {string} options.mode - 'none' | 'unhedged' | 'hedged'
+ * @param {number} options.hedgeCost - % per year deducted when hedged (interest differential)
+ * @returns {Object} { year: pct } in EUR; unhedged drops years without both FX rates
+ */
+export function convertReturnsToEur(returns, currency, fxRates, options = {}) {
+  const { mode = 'none', hedgeCost = 0 } = options;
+  if (!returns || mode === 'none' || !currency || currency === 'EUR') return returns;
+
+  const converted = {};
+  for (const [year, value] of Object.entries(returns)) {
+    if (value === '' || value == null || !Number.isFinite(Number(value))) continue;
+    const local = Number(value) / 100;
+
+    if (mode === 'hedged') {
+      converted[year] = (local - (Number(hedgeCost) || 0) / 100) * 100;
+      continue;
+    }
+
+    const fxStart = Number(fxRates?.[Number(year) - 1]);
+    const fxEnd = Number(fxRates?.[year]);
+    if (!(fxStart > 0) || !(fxEnd > 0)) continue;
+    converted[year] = ((1 + local) * (fxStart / fxEnd) - 1) * 100;
+  }
+  return converted;
+}
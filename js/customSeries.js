@@ -0,0 +1,162 @@
+/**
+ * Custom Return Series
+ *
+ * Named user series stored in localStorage under 'customSeries':
+ *   { [id]: { name, currency, notes, returns: { year: pct } } }
+ * The calculator refers to a series as `custom:<id>`. The former single
+ * 'customReturns' key is migrated into a series called "Eigen data".
+ */
+
+const STORAGE_KEY = 'customSeries';
+const LEGACY_KEY = 'customReturns';
+const KEY_PREFIX = 'custom:';
+
+/**
+ * Calculator key for a series id
+ */
+export function toSeriesKey(id) {
+  return `${KEY_PREFIX}${id}`;
+}
+
+/**
+ * Series id from a calculator key, or null when the key isn't a custom series
+ */
+export function parseSeriesKey(key) {
+  return typeof key === 'string' && key.startsWith(KEY_PREFIX) ? key.slice(KEY_PREFIX.length) : null;
+}
+
+// Drop empty placeholders and anything that isn't a number
+function cleanReturns(returns = {}) {
+  const clean = {};
+  for (const [year, value] of Object.entries(returns)) {
+    if (value === '' || value == null) continue;
+    const num = Number(value);
+    if (Number.isFinite(num)) clean[year] = num;
+  }
+  return clean;
+}
+
+// Years that were added on the data page but not filled yet are kept as ''
+function keepPlaceholders(returns = {}) {
+  const kept = {};
+  for (const [year, value] of Object.entries(returns)) {
+    kept[year] = value === '' ? '' : Number(value);
+  }
+  return kept;
+}
+
+function migrateLegacy() {
+  let legacy = null;
+  try {
+    const raw = localStorage.getItem(LEGACY_KEY);
+    legacy = raw ? JSON.parse(raw) : null;
+  } catch { legacy = null; }
+
+  const series = {};
+  if (legacy && Object.keys(legacy).length > 0) {
+    series['eigen-data'] = { name: 'Eigen data', currency: 'EUR', notes: '', returns: keepPlaceholders(legacy) };
+  }
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(series));
+  localStorage.removeItem(LEGACY_KEY);
+  return series;
+}
+
+/**
+ * All custom series (migrates the legacy single series on first use)
+ * @returns {Object} { [id]: { name, currency, notes, returns } }
+ */
+export function loadCustomSeries() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (raw === null) return migrateLegacy();
+    return JSON.parse(raw) || {};
+  } catch { return {}; }
+}
+
+export function saveCustomSeries(series) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(series));
+}
+
+/**
+ * Numeric return map of one series ({ year: pct }), or null if it doesn't exist
+ */
+export function getCustomReturns(id) {
+  const series = loadCustomSeries()[id];
+  return series ? cleanReturns(series.returns) : null;
+}
+
+/**
+ * Unique, URL-friendly id for a new series name
+ */
+export function createSeriesId(name, existing = {}) {
+  const base = String(name || 'reeks')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'reeks';
+
+  let id = base;
+  for (let n = 2; id in existing; n++) id = `${base}-${n}`;
+  return id;
+}
+
+/**
+ * Whether `id` has the shape createSeriesId produces (ids from a link are untrusted)
+ */
+export function isValidSeriesId(id) {
+  return typeof id === 'string' && /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(id);
+}
+
+/**
+ * Add a series to the map under a fresh id
+ * @returns {string} The new id
+ */
+export function addSeries(series, { name = 'Nieuwe reeks', currency = 'EUR', notes = '', returns = {} } = {}) {
+  const id = createSeriesId(name, series);
+  series[id] = { name, currency, notes, returns: { ...returns } };
+  return id;
+}
+
+/**
+ * Copy a series (values, currency and notes) as "<name> (kopie)"
+ * @returns {string|null} The new id, or null if the source doesn't exist
+ */
+export function duplicateSeries(series, id) {
+  const source = series[id];
+  if (!source) return null;
+  return addSeries(series, { ...source, name: `${source.name} (kopie)` });
+}
+
+/**
+ * Compare uploaded returns with the values already stored
+ *
+ * @param {Object} current - { year: pct } currently stored (may be empty)
+ * @param {Object} incoming - { year: pct } from the upload
+ * @returns {Array<{year: number, current: ?number, incoming: ?number, status: string}>}
+ *   status is 'new', 'changed', 'same' or 'kept' (only in the stored series), sorted by year
+ */
+export function diffReturns(current = {}, incoming = {}) {
+  const stored = cleanReturns(current);
+  const uploaded = cleanReturns(incoming);
+  const years = [...new Set([...Object.keys(stored), ...Object.keys(uploaded)].map(Number))].sort((a, b) => a - b);
+
+  return years.map(year => {
+    const before = year in stored ? stored[year] : null;
+    const after = year in uploaded ? uploaded[year] : null;
+    let status = 'same';
+    if (after === null) status = 'kept';
+    else if (before === null) status = 'new';
+    else if (Math.abs(before - after) > 1e-9) status = 'changed';
+    return { year, current: before, incoming: after, status };
+  });
+}
+
+/**
+ * Series names and notes are user text; escape them before putting them in HTML
+ */
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
@@ -1,51 +1,89 @@
 /**
- * Data Page — shows market data in a table with editable "Custom" column
+ * Data Page — shows market data in a table with an editable column per custom series
  */
 
-import { marketData } from './marketData.js';
-
-// ── Build the unified year set from all indices ──
-function getAllYears() {
-  const yearSet = new Set();
-  Object.values(marketData).forEach(idx => {
-    Object.keys(idx.returns).forEach(y => yearSet.add(Number(y)));
-  });
-  return [...yearSet].sort((a, b) => a - b);
-}
-
-// ── Load custom data from localStorage ──
-function loadCustom() {
+import { marketData, fxData } from './marketData.js';
+import { parseExcelFile, downloadTemplate } from './excelUpload.js';
+import {
+  loadCustomSeries,
+  saveCustomSeries,
+  addSeries,
+  duplicateSeries,
+  diffReturns,
+  escapeHtml
+} from './customSeries.js';
+
+// ── Exchange-rate edits (only values that differ from the shipped data) ──
+function loadFxOverrides() {
   try {
-    const raw = localStorage.getItem('customReturns');
+    const raw = localStorage.getItem('fxRates');
     return raw ? JSON.parse(raw) : {};
   } catch { return {}; }
 }
 
-// ── Save custom data to localStorage ──
-function saveCustom(data) {
-  localStorage.setItem('customReturns', JSON.stringify(data));
+function saveFxOverrides(data) {
+  localStorage.setItem('fxRates', JSON.stringify(data));
 }
 
+const currencies = Object.keys(fxData); // ['USD']
+
 // ── Indices in display order ──
 const indices = Object.keys(marketData); // ['sp500', 'aex', 'allworld']
 
-// ── Render the table ──
-function renderTable() {
-  const years = getAllYears();
-  const custom = loadCustom();
+// Currencies a custom series can be in (converted with the rates in this table)
+const seriesCurrencies = ['EUR', ...currencies];
+
+// ── Series shown in the table: stored ones, or an empty "Eigen data" to start typing in ──
+function getTableSeries() {
+  const series = loadCustomSeries();
+  if (Object.keys(series).length > 0) return series;
+  return { 'eigen-data': { name: 'Eigen data', currency: 'EUR', notes: '', returns: {} } };
+}
+
+// ── Unified year set: indices, custom series and exchange rates ──
+function getAllYears(series = getTableSeries()) {
+  const yearSet = new Set();
+  Object.values(marketData).forEach(idx => {
+    Object.keys(idx.returns).forEach(y => yearSet.add(Number(y)));
+  });
+  Object.values(series).forEach(s => {
+    Object.keys(s.returns || {}).forEach(y => yearSet.add(Number(y)));
+  });
+  const fxOverrides = loadFxOverrides();
+  currencies.forEach(cur => {
+    Object.keys(fxData[cur].rates).forEach(y => yearSet.add(Number(y)));
+    Object.keys(fxOverrides[cur] || {}).forEach(y => yearSet.add(Number(y)));
+  });
+  return [...yearSet].sort((a, b) => a - b);
+}
+
+function formatReturn(val) {
+  const sign = val >= 0 ? '+' : '';
+  return `${sign}${val.toFixed(2)}%`;
+}
+
+// ── Render the table (pass `series` to keep unsaved values that are being edited) ──
+function renderTable(series = getTableSeries()) {
+  const seriesIds = Object.keys(series);
+  const years = getAllYears(series);
   const thead = document.getElementById('tableHead');
   const tbody = document.getElementById('tableBody');
 
-  // Header
   thead.innerHTML = `
     <th class="col-year">Jaar</th>
     ${indices.map(key =>
       `<th class="col-index">${marketData[key].name}</th>`
     ).join('')}
-    <th class="col-custom">Eigen data (%)</th>
+    ${seriesIds.map(id =>
+      `<th class="col-custom" title="${escapeHtml(series[id].notes)}">${escapeHtml(series[id].name)} (%, ${escapeHtml(series[id].currency || 'EUR')})</th>`
+    ).join('')}
+    ${currencies.map(cur =>
+      `<th class="col-custom">${fxData[cur].name}</th>`
+    ).join('')}
   `;
 
-  // Body
+  const fxOverrides = loadFxOverrides();
+
   tbody.innerHTML = years.map(year => {
     const cells = indices.map(key => {
       const val = marketData[key].returns[year];
@@ -53,91 +91,100 @@ function renderTable() {
       return `<td class="cell-return ${cls}">${val != null ? formatReturn(val) : '—'}</td>`;
     }).join('');
 
-    const customVal = custom[year] != null ? custom[year] : '';
-
-    return `
-      <tr data-year="${year}">
-        <td class="cell-year">${year}</td>
-        ${cells}
+    const customCells = seriesIds.map(id => {
+      const val = series[id].returns?.[year];
+      return `
         <td class="cell-custom">
           <input type="number"
                  class="custom-input"
+                 data-series="${escapeHtml(id)}"
                  data-year="${year}"
-                 value="${customVal}"
+                 value="${val != null ? val : ''}"
                  step="0.01"
                  placeholder="—"
           />
-        </td>
+        </td>`;
+    }).join('');
+
+    // Edited rates show as value, shipped rates as value too so they can be changed
+    const fxCells = currencies.map(cur => {
+      const rate = fxOverrides[cur]?.[year] ?? fxData[cur].rates[year] ?? '';
+      return `
+        <td class="cell-custom">
+          <input type="number"
+                 class="custom-input fx-input"
+                 data-currency="${cur}"
+                 data-year="${year}"
+                 value="${rate}"
+                 step="0.0001"
+                 min="0"
+                 placeholder="—"
+          />
+        </td>`;
+    }).join('');
+
+    return `
+      <tr data-year="${year}">
+        <td class="cell-year">${year}</td>
+        ${cells}
+        ${customCells}
+        ${fxCells}
       </tr>
     `;
   }).join('');
 }
 
-function formatReturn(val) {
-  const sign = val >= 0 ? '+' : '';
-  return `${sign}${val.toFixed(2)}%`;
-}
-
 // ── Add a new year row ──
 function addYear() {
-  const years = getAllYears();
-  const lastYear = years[years.length - 1];
-  const newYear = lastYear + 1;
-
-  // Add a placeholder to our custom data so the year appears
-  const custom = loadCustom();
-  if (custom[newYear] == null) {
-    custom[newYear] = '';
-    saveCustom(custom);
+  const series = getTableSeries();
+  const years = getAllYears(series);
+  const newYear = years[years.length - 1] + 1;
+
+  // A placeholder in the first series makes the year show up in the table
+  const firstId = Object.keys(series)[0];
+  if (series[firstId].returns[newYear] == null) {
+    series[firstId].returns[newYear] = '';
+    saveCustomSeries(series);
   }
 
-  // We need to also add the year to marketData temporarily so it shows in the table
-  // Actually we just need to regenerate — the getAllYears function also checks custom
   renderTable();
-  bindInputs();
   showStatus(`Jaar ${newYear} toegevoegd`);
 
-  // Scroll to the new row
   const lastRow = document.querySelector(`tr[data-year="${newYear}"]`);
   if (lastRow) lastRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
 }
 
-// Override getAllYears to include custom keys
-const _origGetAllYears = getAllYears;
-function getAllYearsWithCustom() {
-  const yearSet = new Set();
-  Object.values(marketData).forEach(idx => {
-    Object.keys(idx.returns).forEach(y => yearSet.add(Number(y)));
-  });
-  const custom = loadCustom();
-  Object.keys(custom).forEach(y => yearSet.add(Number(y)));
-  return [...yearSet].sort((a, b) => a - b);
-}
+// ── Series as currently typed in the table (names and currencies from storage) ──
+function readTableSeries() {
+  const series = getTableSeries();
+  Object.values(series).forEach(s => { s.returns = {}; });
 
-// ── Bind input events ──
-function bindInputs() {
-  document.querySelectorAll('.custom-input').forEach(input => {
-    input.addEventListener('input', () => {
-      // Visual feedback
-      input.classList.add('is-edited');
-    });
+  document.querySelectorAll('.custom-input[data-series]').forEach(input => {
+    const { series: id, year } = input.dataset;
+    const val = input.value.trim();
+    if (val !== '' && series[id]) {
+      series[id].returns[year] = parseFloat(val);
+    }
   });
+  return series;
 }
 
 // ── Save all custom inputs ──
 function saveAll() {
-  const inputs = document.querySelectorAll('.custom-input');
-  const custom = {};
-
-  inputs.forEach(input => {
-    const year = Number(input.dataset.year);
-    const val = input.value.trim();
-    if (val !== '') {
-      custom[year] = parseFloat(val);
-    }
+  saveCustomSeries(readTableSeries());
+  renderSeriesList();
+
+  const fxOverrides = {};
+  document.querySelectorAll('.fx-input').forEach(input => {
+    const { currency, year } = input.dataset;
+    const val = parseFloat(input.value);
+    if (!Number.isFinite(val) || val <= 0) return;
+    if (fxData[currency].rates[year] === val) return;
+    if (!fxOverrides[currency]) fxOverrides[currency] = {};
+    fxOverrides[currency][year] = val;
   });
+  saveFxOverrides(fxOverrides);
 
-  saveCustom(custom);
   showStatus('✓ Eigen data opgeslagen');
 
   // Briefly flash the button
@@ -153,80 +200,244 @@ function showStatus(msg) {
   setTimeout(() => el.classList.remove('is-visible'), 2500);
 }
 
-// ── Init ──
-function init() {
-  // Patch getAllYears to include custom
-  const origFn = getAllYears;
+// ── Series management: name, currency and notes are saved right away ──
+function renderSeriesList() {
+  const series = loadCustomSeries();
+  const list = document.getElementById('seriesList');
+  const ids = Object.keys(series);
 
-  // Re-assign the render to use extended years
-  renderTableExtended();
-  bindInputs();
+  if (ids.length === 0) {
+    list.innerHTML = '<p class="series-empty">Nog geen eigen reeksen. Vul de kolom "Eigen data" in, upload een bestand of maak een nieuwe reeks.</p>';
+    return;
+  }
 
-  document.getElementById('addYearBtn').addEventListener('click', () => {
-    addYearExtended();
-    bindInputs();
+  list.innerHTML = ids.map(id => {
+    const s = series[id];
+    return `
+      <div class="series-row" data-series="${escapeHtml(id)}">
+        <input type="text" class="series-name" data-field="name" value="${escapeHtml(s.name)}" aria-label="Naam" />
+        <select class="series-currency" data-field="currency" aria-label="Valuta">
+          ${seriesCurrencies.map(cur =>
+            `<option value="${cur}"${cur === (s.currency || 'EUR') ? ' selected' : ''}>${cur}</option>`
+          ).join('')}
+        </select>
+        <input type="text" class="series-notes" data-field="notes" value="${escapeHtml(s.notes)}" placeholder="Notities" aria-label="Notities" />
+        <button type="button" class="btn btn-secondary series-duplicate">Dupliceren</button>
+        <button type="button" class="event-remove series-delete" aria-label="Verwijderen">×</button>
+      </div>`;
+  }).join('');
+}
+
+// Metadata changes re-render the table without saving values that are still being edited
+function updateSeriesField(id, field, value) {
+  const series = loadCustomSeries();
+  if (!series[id]) return;
+  if (field === 'name' && value.trim() === '') {
+    renderSeriesList();
+    return;
+  }
+  series[id][field] = field === 'name' ? value.trim() : value;
+  saveCustomSeries(series);
+  renderTable(readTableSeries());
+}
+
+function createSeries() {
+  const series = loadCustomSeries();
+  const id = addSeries(series);
+  saveCustomSeries(series);
+  renderSeriesList();
+  renderTable(readTableSeries());
+  showStatus('Nieuwe reeks toegevoegd');
+
+  const nameInput = document.querySelector(`.series-row[data-series="${CSS.escape(id)}"] .series-name`);
+  if (nameInput) nameInput.select();
+}
+
+// The copy takes the values as they are in the table right now
+function copySeries(id) {
+  const series = loadCustomSeries();
+  const current = readTableSeries()[id];
+  if (!series[id] || !current) return;
+  const working = { ...series, [id]: { ...series[id], returns: current.returns } };
+  const copyId = duplicateSeries(working, id);
+  series[copyId] = working[copyId];
+  saveCustomSeries(series);
+  renderSeriesList();
+  renderTable(readTableSeries());
+  showStatus(`✓ ${series[copyId].name} aangemaakt`);
+}
+
+function removeSeries(id) {
+  const series = loadCustomSeries();
+  if (!series[id]) return;
+  if (!confirm(`Reeks "${series[id].name}" verwijderen? Dit kan niet ongedaan worden gemaakt.`)) return;
+  delete series[id];
+  saveCustomSeries(series);
+  renderSeriesList();
+  renderTable(readTableSeries());
+  showStatus('Reeks verwijderd');
+}
+
+function bindSeriesList() {
+  const list = document.getElementById('seriesList');
+  list.addEventListener('change', (e) => {
+    const field = e.target.dataset.field;
+    const row = e.target.closest('.series-row');
+    if (field && row) updateSeriesField(row.dataset.series, field, e.target.value);
   });
+  list.addEventListener('click', (e) => {
+    const row = e.target.closest('.series-row');
+    if (!row) return;
+    if (e.target.closest('.series-duplicate')) copySeries(row.dataset.series);
+    if (e.target.closest('.series-delete')) removeSeries(row.dataset.series);
+  });
+  document.getElementById('addSeriesBtn').addEventListener('click', createSeries);
+}
 
-  document.getElementById('saveCustomBtn').addEventListener('click', saveAll);
+// ── Upload: parse, preview against the chosen series, then save ──
+let pendingUpload = null;
+
+const diffLabels = {
+  new: 'nieuw',
+  changed: 'gewijzigd',
+  same: 'ongewijzigd',
+  kept: 'blijft'
+};
+
+function formatCell(val) {
+  return val == null ? '—' : formatReturn(val);
 }
 
-function renderTableExtended() {
-  const years = getAllYearsWithCustom();
-  const custom = loadCustom();
-  const thead = document.getElementById('tableHead');
-  const tbody = document.getElementById('tableBody');
+function renderUploadPreview() {
+  if (!pendingUpload) return;
+  const target = document.getElementById('uploadTarget').value;
+  const stored = loadCustomSeries();
+  const current = target === 'new' ? {} : stored[target]?.returns || {};
+  const diff = diffReturns(current, pendingUpload.returns);
+
+  document.getElementById('uploadNameGroup').hidden = target !== 'new';
+
+  const counts = diff.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  document.getElementById('uploadSummary').textContent = Object.keys(diffLabels)
+    .filter(status => counts[status])
+    .map(status => `${counts[status]} ${diffLabels[status]}`)
+    .join(' • ');
+
+  document.getElementById('uploadDiff').innerHTML = `
+    <thead>
+      <tr>
+        <th class="col-year">Jaar</th>
+        <th>Huidig</th>
+        <th>Upload</th>
+        <th>Status</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${diff.map(row => `
+        <tr class="diff-${row.status}">
+          <td class="cell-year">${row.year}</td>
+          <td>${formatCell(row.current)}</td>
+          <td>${formatCell(row.incoming)}</td>
+          <td class="diff-status">${diffLabels[row.status]}</td>
+        </tr>`).join('')}
+    </tbody>
+  `;
+}
 
-  thead.innerHTML = `
-    <th class="col-year">Jaar</th>
-    ${indices.map(key =>
-      `<th class="col-index">${marketData[key].name}</th>`
+function showUploadPreview(upload, fileName) {
+  pendingUpload = upload;
+  const stored = loadCustomSeries();
+
+  document.getElementById('uploadPreviewTitle').textContent = `Voorbeeld: ${fileName}`;
+  document.getElementById('uploadName').value = fileName.replace(/\.[^.]+$/, '');
+  document.getElementById('uploadTarget').innerHTML = `
+    <option value="new">Nieuwe reeks</option>
+    ${Object.entries(stored).map(([id, s]) =>
+      `<option value="${escapeHtml(id)}">Bijwerken: ${escapeHtml(s.name)}</option>`
     ).join('')}
-    <th class="col-custom">Eigen data (%)</th>
   `;
 
-  tbody.innerHTML = years.map(year => {
-    const cells = indices.map(key => {
-      const val = marketData[key].returns[year];
-      const cls = val == null ? '' : val >= 0 ? 'positive' : 'negative';
-      return `<td class="cell-return ${cls}">${val != null ? formatReturn(val) : '—'}</td>`;
-    }).join('');
+  document.getElementById('uploadPreview').hidden = false;
+  renderUploadPreview();
+}
+
+function closeUploadPreview() {
+  pendingUpload = null;
+  document.getElementById('uploadPreview').hidden = true;
+  document.getElementById('uploadInput').value = '';
+}
 
-    const customVal = custom[year] != null ? custom[year] : '';
+async function handleFile(file) {
+  if (!file) return;
+  try {
+    showUploadPreview(await parseExcelFile(file), file.name);
+  } catch (err) {
+    closeUploadPreview();
+    alert(err.message);
+  }
+}
 
-    return `
-      <tr data-year="${year}">
-        <td class="cell-year">${year}</td>
-        ${cells}
-        <td class="cell-custom">
-          <input type="number"
-                 class="custom-input"
-                 data-year="${year}"
-                 value="${customVal}"
-                 step="0.01"
-                 placeholder="—"
-          />
-        </td>
-      </tr>
-    `;
-  }).join('');
+// Uploaded values replace the stored ones per year; other years are kept.
+// Unsaved edits in the table are saved along with it.
+function confirmUpload() {
+  if (!pendingUpload) return;
+  const target = document.getElementById('uploadTarget').value;
+  const series = readTableSeries();
+  // The empty starter column only exists in the table
+  if (Object.keys(loadCustomSeries()).length === 0) delete series['eigen-data'];
+
+  const id = target === 'new'
+    ? addSeries(series, {
+      name: document.getElementById('uploadName').value.trim() || 'Eigen data',
+      currency: pendingUpload.currency || 'EUR'
+    })
+    : target;
+  series[id].returns = { ...series[id].returns, ...pendingUpload.returns };
+
+  saveCustomSeries(series);
+  closeUploadPreview();
+  renderSeriesList();
+  renderTable();
+  showStatus(`✓ ${series[id].name} opgeslagen`);
 }
 
-function addYearExtended() {
-  const years = getAllYearsWithCustom();
-  const lastYear = years[years.length - 1];
-  const newYear = lastYear + 1;
+function bindUpload() {
+  const zone = document.getElementById('uploadZone');
+  const input = document.getElementById('uploadInput');
 
-  const custom = loadCustom();
-  if (custom[newYear] == null) {
-    custom[newYear] = '';
-    saveCustom(custom);
-  }
+  input.addEventListener('change', () => handleFile(input.files[0]));
 
-  renderTableExtended();
-  showStatus(`Jaar ${newYear} toegevoegd`);
+  zone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    zone.classList.add('is-dragover');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('is-dragover'));
+  zone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    zone.classList.remove('is-dragover');
+    handleFile(e.dataTransfer.files[0]);
+  });
 
-  const lastRow = document.querySelector(`tr[data-year="${newYear}"]`);
-  if (lastRow) lastRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  document.getElementById('downloadTemplateBtn').addEventListener('click', downloadTemplate);
+  document.getElementById('uploadTarget').addEventListener('change', renderUploadPreview);
+  document.getElementById('uploadConfirmBtn').addEventListener('click', confirmUpload);
+  document.getElementById('uploadCancelBtn').addEventListener('click', closeUploadPreview);
+}
+
+// ── Init ──
+function init() {
+  renderSeriesList();
+  renderTable();
+
+  // Edited cells get visual feedback
+  document.getElementById('tableBody').addEventListener('input', (e) => {
+    if (e.target.classList.contains('custom-input')) e.target.classList.add('is-edited');
+  });
+
+  document.getElementById('addYearBtn').addEventListener('click', addYear);
+  document.getElementById('saveCustomBtn').addEventListener('click', saveAll);
+  bindUpload();
+  bindSeriesList();
 }
 
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,102 @@
+/**
+ * Decumulation
+ *
+ * Helpers for the withdrawal phase: CPI-indexed withdrawal schedules and the
+ * safe withdrawal rate per tax regime for the simulated horizon.
+ */
+
+import { runSimulation, liquidWealth } from './simulation.js';
+import { getCpiForYear } from './marketData.js';
+
+/**
+ * Build a withdrawals-by-year map (€ per month), starting at `fromYear`.
+ * With CPI indexing the amount grows with inflation from the first withdrawal year.
+ */
+export function buildWithdrawalsByYear(monthlyAmount, fromYear, endYear, cpiIndexed) {
+  const map = {};
+  let amount = Math.max(0, Number(monthlyAmount) || 0);
+  for (let y = fromYear; y <= endYear; y++) {
+    if (cpiIndexed && y > fromYear) {
+      amount = amount * (1 + getCpiForYear(y) / 100);
+    }
+    map[y] = Math.round(amount * 100) / 100;
+  }
+  return map;
+}
+
+/**
+ * Safe withdrawal rate per system: the highest first-year withdrawal, as a
+ * percentage of the liquid wealth at the start of the withdrawal phase, that lasts
+ * until the end of the simulated horizon.
+ *
+ * Withdrawals are fixed (optionally CPI-indexed) from `startYear`; every
+ * system is solved separately by bisection on the monthly amount.
+ *
+ * @param {number} startCapital
+ * @param {Array<{year: number, return: number}>} returns
+ * @param {Object} configs
+ * @param {Object|number} contributionsByYear
+ * @param {Object} options - Passed to runSimulation (sleeves etc.); withdrawals are replaced
+ * @param {Object} params - { startYear, cpiIndexed, iterations, systems, onProgress } — `systems` limits
+ *   the search, `onProgress(done, total)` is called after every system
+ * @returns {Object} { sys: { rate, monthly, startWealth } } — rate in % per year, null if there is nothing to withdraw
+ */
+export function findSafeWithdrawalRates(startCapital, returns, configs, contributionsByYear, options = {}, params = {}) {
+  const { cpiIndexed = false, iterations = 20, onProgress = () => {} } = params;
+  if (returns.length === 0) return {};
+
+  const years = returns.map(r => r.year);
+  const endYear = years[years.length - 1];
+  const startYear = Math.max(years[0], Number(params.startYear) || years[0]);
+  const startIndex = years.indexOf(startYear);
+  if (startIndex < 0) return {};
+
+  const simulate = monthly => runSimulation(startCapital, returns, configs, contributionsByYear, {
+    ...options,
+    withdrawals: {
+      mode: 'fixed',
+      startYear,
+      monthlyByYear: buildWithdrawalsByYear(monthly, startYear, endYear, cpiIndexed)
+    }
+  });
+
+  // Wealth at the start of the withdrawal phase does not depend on the amount
+  const base = simulate(0);
+  const rates = {};
+
+  // The pension pays out on its own schedule and ignores planned withdrawals
+  const systems = (params.systems
+    ? base.systems.filter(sys => params.systems.includes(sys))
+    : base.systems
+  ).filter(sys => sys !== 'pension');
+
+  for (const [done, sys] of systems.entries()) {
+    onProgress(done, systems.length);
+    const startWealth = liquidWealth(base.balances[sys][startIndex]);
+    if (!(startWealth > 0)) {
+      rates[sys] = null;
+      continue;
+    }
+
+    // Withdrawing the full start wealth every month always runs out
+    let low = 0;
+    let high = startWealth;
+    for (let n = 0; n < iterations; n++) {
+      const mid = (low + high) / 2;
+      if (simulate(mid).depletionYear[sys] === null) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    rates[sys] = {
+      rate: (low * 12 / startWealth) * 100,
+      monthly: low,
+      startWealth
+    };
+  }
+
+  onProgress(systems.length, systems.length);
+  return rates;
+}
@@ -5,6 +5,80 @@
 
 import * as XLSX from 'xlsx';
 
+const returnUnits = ['auto', 'percent', 'decimal'];
+
+/**
+ * Extract { year: returnPct } from sheet rows with a Year and a Return column
+ * (names matched case-insensitively, Dutch names work too). Whether the
+ * column holds decimals (0.15) or percentages (15) is decided once for the
+ * whole column: with unit 'auto' it counts as decimals only when every value
+ * lies between -1 and 1.
+ *
+ * @param {Array<Object>} rows - Output of XLSX.utils.sheet_to_json
+ * @param {Object} [options]
+ * @param {'auto'|'percent'|'decimal'} [options.unit='auto'] - Unit of the Return column
+ * @returns {Object} { year: returnPct }; throws when no usable data is found
+ */
+export function parseReturnRows(rows, { unit = 'auto' } = {}) {
+  if (!returnUnits.includes(unit)) {
+    throw new Error(`Onbekende eenheid "${unit}", kies uit ${returnUnits.join(', ')}.`);
+  }
+
+  if (rows.length === 0) {
+    throw new Error('Het Excel bestand is leeg.');
+  }
+
+  // Find Year and Return columns (case-insensitive)
+  const firstRow = rows[0];
+  const keys = Object.keys(firstRow);
+
+  const yearKey = keys.find(k =>
+    k.toLowerCase().includes('year') ||
+    k.toLowerCase().includes('jaar')
+  );
+  const returnKey = keys.find(k =>
+    k.toLowerCase().includes('return') ||
+    k.toLowerCase().includes('rendement') ||
+    k.toLowerCase() === '%'
+  );
+
+  if (!yearKey || !returnKey) {
+    throw new Error(
+      'Kolommen niet gevonden. Zorg dat je kolommen hebt genaamd "Year" en "Return".'
+    );
+  }
+
+  const returns = {};
+  for (const row of rows) {
+    const year = parseInt(row[yearKey]);
+    const ret = parseFloat(row[returnKey]);
+
+    if (isNaN(year) || isNaN(ret)) continue;
+    returns[year] = ret;
+  }
+
+  const values = Object.values(returns);
+  if (values.length === 0) {
+    throw new Error('Geen geldige data gevonden in het bestand.');
+  }
+
+  const decimals = unit === 'decimal' ||
+    (unit === 'auto' && values.every(ret => Math.abs(ret) < 1));
+  if (decimals) {
+    for (const year of Object.keys(returns)) returns[year] *= 100;
+  }
+  return returns;
+}
+
+/**
+ * Returns from the first sheet of a workbook (XLSX.read / XLSX.readFile);
+ * options as for parseReturnRows
+ */
+export function parseReturnsWorkbook(workbook, options) {
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return parseReturnRows(XLSX.utils.sheet_to_json(sheet), options);
+}
+
 /**
  * Parse an uploaded file and extract return data
  * @param {File} file - The uploaded file
@@ -19,56 +93,11 @@ export function parseExcelFile(file) {
         const data = new Uint8Array(e.target.result);
         const workbook = XLSX.read(data, { type: 'array' });
 
-        // Use first sheet
-        const sheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[sheetName];
-
-        // Convert to JSON
-        const rows = XLSX.utils.sheet_to_json(sheet);
-
-        if (rows.length === 0) {
-          reject(new Error('Het Excel bestand is leeg.'));
-          return;
-        }
-
-        // Find Year and Return columns (case-insensitive)
-        const firstRow = rows[0];
-        const keys = Object.keys(firstRow);
-
-        const yearKey = keys.find(k =>
-          k.toLowerCase().includes('year') ||
-          k.toLowerCase().includes('jaar')
-        );
-        const returnKey = keys.find(k =>
-          k.toLowerCase().includes('return') ||
-          k.toLowerCase().includes('rendement') ||
-          k.toLowerCase() === '%'
-        );
-
-        if (!yearKey || !returnKey) {
-          reject(new Error(
-            'Kolommen niet gevonden. Zorg dat je kolommen hebt genaamd "Year" en "Return".'
-          ));
-          return;
-        }
-
-        const returns = {};
-        for (const row of rows) {
-          const year = parseInt(row[yearKey]);
-          let ret = parseFloat(row[returnKey]);
-
-          if (isNaN(year) || isNaN(ret)) continue;
-
-          // If returns look like decimals (e.g., 0.15), convert to percentage
-          if (Math.abs(ret) < 1 && Math.abs(ret) > 0) {
-            ret = ret * 100;
-          }
-
-          returns[year] = ret;
-        }
-
-        if (Object.keys(returns).length === 0) {
-          reject(new Error('Geen geldige data gevonden in het bestand.'));
+        let returns;
+        try {
+          returns = parseReturnsWorkbook(workbook);
+        } catch (err) {
+          reject(err);
           return;
         }
 
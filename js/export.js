@@ -0,0 +1,186 @@
+/**
+ * Result Export
+ *
+ * Turns a simulation result into tables (one per system, plus inputs and a
+ * summary) and writes them as an .xlsx workbook, a single CSV file or JSON.
+ */
+
+import * as XLSX from 'xlsx';
+import { systemLabels } from './simulation.js';
+import { describeScenario } from './scenario.js';
+
+const round2 = value => Math.round(value * 100) / 100;
+const sum = values => values.reduce((total, v) => total + v, 0);
+
+// Excel sheet names: max 31 characters, no : \ / ? * [ ]
+function sheetName(label) {
+  return label.replace(/[:\\/?*[\]]/g, '-').slice(0, 31);
+}
+
+export const yearColumns = [
+  'Jaar',
+  'Beginvermogen',
+  'Rendement',
+  'Inleg',
+  'Stortingen/opnames',
+  'Opnames',
+  'Belasting',
+  'Eindvermogen'
+];
+
+/**
+ * Year rows for one system. The return is what remains of the change in
+ * wealth after all cash flows and tax, so the columns always add up:
+ *   eind = begin + rendement + inleg + stortingen − opnames − belasting
+ *
+ * @param {Object} result - Output of runSimulation (optionally via toRealEuros)
+ * @param {string} sys
+ * @returns {Array<Array>} Rows matching yearColumns
+ */
+export function buildYearRows(result, sys) {
+  return result.taxLabels.map((year, i) => {
+    const start = result.portfolioValues[sys][i];
+    const end = result.portfolioValues[sys][i + 1];
+    const deposits = result.contributions ? result.contributions[i] : 0;
+    const events = result.eventFlows ? result.eventFlows[sys][i] : 0;
+    const withdrawn = result.withdrawals ? result.withdrawals[sys][i] : 0;
+    const tax = result.annualTax[sys][i];
+    const ret = end - start - deposits - events + withdrawn + tax;
+
+    return [year, start, ret, deposits, events, withdrawn, tax, end].map((v, col) => (col === 0 ? v : round2(v)));
+  });
+}
+
+/**
+ * All tables for an export
+ *
+ * @param {Object} result - Output of runSimulation (optionally via toRealEuros)
+ * @param {Object} options
+ * @param {string[]} options.systems - Systems to include (in this order)
+ * @param {Object} options.labels - { sys: display name }
+ * @param {Array<[string, *]>} options.inputs - Parameter/value pairs for the inputs sheet
+ * @param {Object} options.annualised - { sys: % per year } from calcAnnualisedReturns
+ * @returns {Array<{name: string, rows: Array<Array>}>}
+ */
+export function buildExportTables(result, options = {}) {
+  const { labels = {}, inputs = [], annualised = null } = options;
+  const systems = (options.systems || result.systems).filter(sys => result.systems.includes(sys));
+  const labelOf = sys => labels[sys] || sys;
+
+  const summaryRows = systems.map(sys => {
+    const values = result.portfolioValues[sys];
+    const withdrawn = result.withdrawals ? sum(result.withdrawals[sys]) : 0;
+    const depleted = result.depletionYear ? result.depletionYear[sys] : null;
+    return [
+      labelOf(sys),
+      round2(values[values.length - 1]),
+      round2(sum(result.annualTax[sys])),
+      round2(withdrawn),
+      annualised && Number.isFinite(annualised[sys]) ? round2(annualised[sys]) : '',
+      depleted ?? ''
+    ];
+  });
+
+  return [
+    {
+      name: 'Invoer',
+      rows: [['Parameter', 'Waarde'], ...inputs.map(([key, value]) => [key, value ?? ''])]
+    },
+    {
+      name: 'Samenvatting',
+      rows: [
+        ['Systeem', 'Eindvermogen', 'Totale belasting', 'Opgenomen', 'Rendement p.j. (%)', 'Vermogen op in'],
+        ...summaryRows
+      ]
+    },
+    ...systems.map(sys => ({
+      name: sheetName(labelOf(sys)),
+      rows: [yearColumns, ...buildYearRows(result, sys)]
+    }))
+  ];
+}
+
+/**
+ * Write the tables as an .xlsx workbook (downloads in the browser)
+ */
+export function downloadWorkbook(tables, filename = 'box3_simulatie.xlsx') {
+  const wb = XLSX.utils.book_new();
+  for (const table of tables) {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(table.rows), table.name);
+  }
+  XLSX.writeFile(wb, filename);
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Year rows of all systems as one CSV table, with the system in the first column.
+ * With `scenario` a leading Scenario column is added; `header: false` leaves out
+ * the header row so tables of several scenarios can be concatenated.
+ */
+export function toCsv(result, options = {}) {
+  const { labels = {}, scenario = null, header = true } = options;
+  const systems = (options.systems || result.systems).filter(sys => result.systems.includes(sys));
+  const lead = scenario !== null ? [scenario] : [];
+  const rows = [
+    ...(header ? [[...(scenario !== null ? ['Scenario'] : []), 'Systeem', ...yearColumns]] : []),
+    ...systems.flatMap(sys => buildYearRows(result, sys).map(row => [...lead, labels[sys] || sys, ...row]))
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+const recordKeys = ['year', 'startValue', 'return', 'contributions', 'events', 'withdrawals', 'tax', 'endValue'];
+
+/**
+ * Result per system as a plain object (summary plus year records), for JSON output
+ *
+ * @param {Object} result - Output of runSimulation (optionally via toRealEuros)
+ * @param {Object} options - { systems, labels, annualised } as in buildExportTables
+ * @returns {Object} { [sys]: { label, finalValue, totalTax, withdrawn, annualisedReturn, depletionYear, years } }
+ */
+export function toJson(result, options = {}) {
+  const { labels = {}, annualised = null } = options;
+  const systems = (options.systems || result.systems).filter(sys => result.systems.includes(sys));
+
+  return Object.fromEntries(systems.map(sys => {
+    const values = result.portfolioValues[sys];
+    return [sys, {
+      label: labels[sys] || sys,
+      finalValue: round2(values[values.length - 1]),
+      totalTax: round2(sum(result.annualTax[sys])),
+      withdrawn: round2(result.withdrawals ? sum(result.withdrawals[sys]) : 0),
+      annualisedReturn: annualised && Number.isFinite(annualised[sys]) ? round2(annualised[sys]) : null,
+      depletionYear: result.depletionYear ? result.depletionYear[sys] : null,
+      years: buildYearRows(result, sys).map(row => Object.fromEntries(recordKeys.map((key, i) => [key, row[i]])))
+    }];
+  }));
+}
+
+/**
+ * A run of runScenario as JSON: the resolved inputs plus toJson per system
+ *
+ * @param {Object} run - { scenario, result, annualised } from runScenario
+ */
+export function scenarioToJson({ scenario, result, annualised }) {
+  return {
+    name: scenario.name,
+    inputs: describeScenario(scenario),
+    systems: toJson(result, { systems: scenario.systems, labels: systemLabels, annualised })
+  };
+}
+
+/**
+ * Download a CSV string as a file
+ */
+export function downloadCsv(csv, filename = 'box3_simulatie.csv') {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
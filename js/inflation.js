@@ -0,0 +1,200 @@
+/**
+ * Inflation Adjustment
+ *
+ * Deflates simulation output to real euros with the CBS CPI series, either
+ * in euros of the start year or in today's euros (latest CPI year).
+ */
+
+import { cpiData, getCpiForYear } from './marketData.js';
+import { summariseWindows } from './backtest.js';
+
+/**
+ * Last year with a known CPI figure ("today")
+ */
+export function getLatestCpiYear() {
+  return Math.max(...Object.keys(cpiData).map(Number));
+}
+
+/**
+ * Price level at the end of `year` relative to the end of `baseYear`
+ */
+function priceLevel(year, baseYear) {
+  let level = 1;
+  for (let y = baseYear + 1; y <= year; y++) level *= 1 + getCpiForYear(y) / 100;
+  for (let y = baseYear; y > year; y--) level /= 1 + getCpiForYear(y) / 100;
+  return level;
+}
+
+/**
+ * Factor that turns nominal euros at the end of a year into euros of `baseYear`
+ * (end of that year). Years without CPI data count as 0% inflation.
+ */
+export function createDeflator(baseYear) {
+  const cache = {};
+  return year => {
+    if (!(year in cache)) cache[year] = 1 / priceLevel(Number(year), baseYear);
+    return cache[year];
+  };
+}
+
+/**
+ * Base year for a real-euro view
+ * @param {string} base - 'start' (euros at the start of the simulation) | 'today'
+ * @param {number} firstLabel - First chart label (the year before the first simulated year)
+ */
+export function getRealBaseYear(base, firstLabel) {
+  return base === 'today' ? getLatestCpiYear() : Number(firstLabel);
+}
+
+function deflateArray(values, labels, deflate) {
+  return values.map((v, i) => v * deflate(labels[i]));
+}
+
+// Series are plain arrays (historical) or percentile bands { p5: [], ... } (Monte Carlo)
+function deflateSeries(series, labels, deflate) {
+  if (Array.isArray(series)) return deflateArray(series, labels, deflate);
+  const out = {};
+  for (const [key, values] of Object.entries(series)) {
+    out[key] = Array.isArray(values) ? deflateArray(values, labels, deflate) : values;
+  }
+  return out;
+}
+
+// Amounts of a breakdown row; rates, shares and labels stay as they are
+const breakdownAmounts = [
+  'actualReturn', 'costs', 'costBasis', 'realisedGain', 'exemption', 'grondslag', 'fictitiousReturn',
+  'lossUsed', 'lossAdded', 'lossCarryForward', 'tax', 'payout', 'refund', 'deducted', 'taxFree'
+];
+
+// The start value is on 1 January (the end of the previous year), the rest falls in the year itself
+function deflateBreakdownRow(row, deflate) {
+  const factor = deflate(row.year);
+  const scale = value => (typeof value === 'number' ? value * factor : value);
+  const out = { ...row };
+  if (typeof row.startValue === 'number') out.startValue = row.startValue * deflate(row.year - 1);
+  breakdownAmounts.forEach(key => {
+    if (key in row) out[key] = scale(row[key]);
+  });
+  if (Array.isArray(row.brackets)) {
+    out.brackets = row.brackets.map(bracket => {
+      const scaled = { ...bracket };
+      ['amount', 'tax', 'return'].forEach(key => {
+        if (key in bracket) scaled[key] = scale(bracket[key]);
+      });
+      return scaled;
+    });
+  }
+  return out;
+}
+
+function runningSum(values) {
+  let sum = 0;
+  return values.map(v => (sum += v));
+}
+
+/**
+ * Copy of a simulation or Monte Carlo result with wealth and tax in real euros.
+ *
+ * Wealth is deflated at each year end. Annual tax is deflated in the year it
+ * is paid and cumulative tax is the running sum of real annual tax (for
+ * percentile bands, where sums don't hold, the cumulative bands are deflated directly).
+ * The per-year breakdown, when present, is deflated the same way.
+ *
+ * @param {Object} result - Output of runSimulation or runMonteCarlo
+ * @param {string} base - 'start' | 'today'
+ * @returns {Object} Result with the same shape plus `real: { base, baseYear }`
+ */
+export function toRealEuros(result, base = 'start') {
+  const baseYear = getRealBaseYear(base, result.labels[0]);
+  const deflate = createDeflator(baseYear);
+  const isBands = Boolean(result.percentiles);
+
+  const portfolioValues = {};
+  const annualTax = {};
+  const cumulativeTax = {};
+  for (const sys of result.systems) {
+    portfolioValues[sys] = deflateSeries(result.portfolioValues[sys], result.labels, deflate);
+    annualTax[sys] = deflateSeries(result.annualTax[sys], result.taxLabels, deflate);
+    cumulativeTax[sys] = isBands
+      ? deflateSeries(result.cumulativeTax[sys], result.taxLabels, deflate)
+      : runningSum(annualTax[sys]);
+  }
+
+  const real = { ...result, portfolioValues, annualTax, cumulativeTax, real: { base, baseYear } };
+
+  for (const key of ['withdrawals', 'eventFlows']) {
+    if (!result[key]) continue;
+    real[key] = {};
+    for (const sys of result.systems) {
+      real[key][sys] = deflateArray(result[key][sys], result.taxLabels, deflate);
+    }
+  }
+  if (result.contributions) real.contributions = deflateArray(result.contributions, result.taxLabels, deflate);
+  if (result.breakdown) {
+    real.breakdown = {};
+    for (const sys of result.systems) {
+      real.breakdown[sys] = (result.breakdown[sys] || []).map(row => deflateBreakdownRow(row, deflate));
+    }
+  }
+
+  return real;
+}
+
+/**
+ * Backtest with every window's final wealth and total tax in real euros.
+ * With base 'start' each window uses its own start year; tax is deflated at
+ * the window's end year (an approximation, the per-year split is not kept).
+ */
+export function backtestToRealEuros(backtest, base = 'start') {
+  const windows = backtest.windows.map(w => {
+    const deflate = createDeflator(getRealBaseYear(base, w.startYear - 1));
+    const factor = deflate(w.endYear);
+    const finalValues = {};
+    const totalTax = {};
+    for (const sys of backtest.systems) {
+      finalValues[sys] = w.finalValues[sys] * factor;
+      totalTax[sys] = w.totalTax[sys] * factor;
+    }
+    return { ...w, finalValues, totalTax };
+  });
+
+  return { ...backtest, windows, stats: summariseWindows(windows, backtest.systems), real: { base } };
+}
+
+/**
+ * Annualised time-weighted return per system, after tax.
+ * Cash flows (contributions, withdrawals, events) are treated as year-end
+ * flows; with `real` each year's return is also corrected for CPI.
+ *
+ * @param {Object} result - Output of runSimulation (nominal)
+ * @param {Object|number} contributionsByYear - Same as runSimulation
+ * @param {Object} options - { real }
+ * @returns {Object} { sys: pct per year }
+ */
+export function calcAnnualisedReturns(result, contributionsByYear, options = {}) {
+  const { real = false } = options;
+  const years = result.taxLabels;
+  const isMap = typeof contributionsByYear === 'object' && contributionsByYear !== null;
+  const out = {};
+
+  for (const sys of result.systems) {
+    const values = result.portfolioValues[sys];
+    let growth = 1;
+    let counted = 0;
+
+    years.forEach((year, i) => {
+      const start = values[i];
+      if (!(start > 0)) return;
+      const deposits = (isMap ? Number(contributionsByYear[year]) || 0 : Number(contributionsByYear) || 0) * 12;
+      const withdrawn = result.withdrawals ? result.withdrawals[sys][i] : 0;
+      const events = result.eventFlows ? result.eventFlows[sys][i] : 0;
+      let factor = (values[i + 1] - deposits - events + withdrawn) / start;
+      if (real) factor /= 1 + getCpiForYear(year) / 100;
+      growth *= Math.max(0, factor);
+      counted++;
+    });
+
+    out[sys] = counted > 0 ? (Math.pow(growth, 1 / counted) - 1) * 100 : 0;
+  }
+  return out;
+}
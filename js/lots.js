@@ -0,0 +1,78 @@
+/**
+ * Purchase Lots
+ *
+ * Cost basis per purchase for taxation on realisation. The holding is split
+ * into units: every purchase buys units at the current price (value / units)
+ * and becomes a lot; a sale takes units FIFO (oldest lot first) or at the
+ * average cost of all lots.
+ */
+
+/**
+ * @param {'fifo'|'average'} method
+ * @returns {Object} Ledger { method, lots: [{ units, cost }], units, cost }
+ */
+export function createLedger(method = 'fifo') {
+  return { method: method === 'average' ? 'average' : 'fifo', lots: [], units: 0, cost: 0 };
+}
+
+/**
+ * Buy `amount` worth into a holding worth `valueBefore`.
+ * Lots of a holding that has become worthless are closed first.
+ *
+ * @returns {number} Realised gain (a loss when worthless lots were closed, otherwise 0)
+ */
+export function buyLot(ledger, amount, valueBefore) {
+  if (!(amount > 0)) return 0;
+
+  let realised = 0;
+  if (ledger.units > 0 && !(valueBefore > 0)) {
+    realised = -ledger.cost;
+    ledger.lots = [];
+    ledger.units = 0;
+    ledger.cost = 0;
+  }
+
+  const price = ledger.units > 0 ? valueBefore / ledger.units : 1;
+  const units = amount / price;
+  ledger.lots.push({ units, cost: amount });
+  ledger.units += units;
+  ledger.cost += amount;
+  return realised;
+}
+
+/**
+ * Sell `amount` worth out of a holding worth `valueBefore`
+ *
+ * @returns {{proceeds: number, cost: number, gain: number}}
+ */
+export function sellLots(ledger, amount, valueBefore) {
+  if (!(amount > 0) || !(valueBefore > 0) || ledger.units <= 0) return { proceeds: 0, cost: 0, gain: 0 };
+
+  const proceeds = Math.min(amount, valueBefore);
+  let units = ledger.units * (proceeds / valueBefore);
+  let cost = 0;
+
+  if (ledger.method === 'average') {
+    const share = proceeds / valueBefore;
+    cost = ledger.cost * share;
+    ledger.lots.forEach(lot => {
+      lot.units *= 1 - share;
+      lot.cost *= 1 - share;
+    });
+  } else {
+    while (units > 1e-9 && ledger.lots.length > 0) {
+      const lot = ledger.lots[0];
+      const taken = Math.min(units, lot.units);
+      const lotCost = lot.cost * (taken / lot.units);
+      cost += lotCost;
+      lot.units -= taken;
+      lot.cost -= lotCost;
+      units -= taken;
+      if (lot.units <= 1e-9) ledger.lots.shift();
+    }
+  }
+
+  ledger.units = ledger.lots.reduce((sum, lot) => sum + lot.units, 0);
+  ledger.cost = ledger.lots.reduce((sum, lot) => sum + lot.cost, 0);
+  return { proceeds, cost, gain: proceeds - cost };
+}
@@ -206,3 +206,54 @@ export const cpiData = {
 export function getCpiForYear(year) {
   return cpiData[year] ?? 0;
 }
+
+/**
+ * Exchange rates — units of foreign currency per 1 EUR at year end (31 Dec)
+ * Source: ECB reference rates; before 1999 the ECU rate is used as a proxy
+ */
+export const fxData = {
+  USD: {
+    name: "EUR/USD (jaarultimo)",
+    rates: {
+      1987: 1.3034,
+      1988: 1.1693,
+      1989: 1.1972,
+      1990: 1.3633,
+      1991: 1.3390,
+      1992: 1.2099,
+      1993: 1.1196,
+      1994: 1.2300,
+      1995: 1.3142,
+      1996: 1.2530,
+      1997: 1.1009,
+      1998: 1.1668,
+      1999: 1.0046,
+      2000: 0.9305,
+      2001: 0.8813,
+      2002: 1.0487,
+      2003: 1.2630,
+      2004: 1.3621,
+      2005: 1.1797,
+      2006: 1.3170,
+      2007: 1.4721,
+      2008: 1.3917,
+      2009: 1.4406,
+      2010: 1.3362,
+      2011: 1.2939,
+      2012: 1.3194,
+      2013: 1.3791,
+      2014: 1.2141,
+      2015: 1.0887,
+      2016: 1.0541,
+      2017: 1.1993,
+      2018: 1.1450,
+      2019: 1.1234,
+      2020: 1.2271,
+      2021: 1.1326,
+      2022: 1.0666,
+      2023: 1.1050,
+      2024: 1.0389,
+      2025: 1.1750,
+    },
+  },
+};
@@ -0,0 +1,170 @@
+/**
+ * Monte Carlo Engine
+ *
+ * Bootstraps synthetic return paths from a historical series, runs the regular
+ * simulation on every path and summarises the outcomes as percentile bands.
+ */
+
+import { runSimulation } from './simulation.js';
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+/**
+ * Small seedable PRNG (mulberry32) so repeated runs with the same inputs
+ * produce the same bands instead of jittering on every re-render.
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw one synthetic return path.
+ * With blockLength > 1 a circular block bootstrap is used: consecutive
+ * historical years are drawn together, which keeps crash/recovery sequences.
+ *
+ * @param {Array<{year: number, return: number}>} sourceReturns - Historical series to sample from
+ * @param {Array<number>} years - Simulation years to fill
+ * @param {Object} options - { blockLength, random }
+ * @returns {Array<{year: number, return: number}>}
+ */
+export function bootstrapReturns(sourceReturns, years, options = {}) {
+  const { blockLength = 1, random = Math.random } = options;
+  const n = sourceReturns.length;
+  if (n === 0) return [];
+
+  const block = Math.max(1, Math.min(n, Math.round(Number(blockLength) || 1)));
+  const path = [];
+  let cursor = 0;
+  let remaining = 0;
+
+  for (const year of years) {
+    if (remaining === 0) {
+      cursor = Math.floor(random() * n);
+      remaining = block;
+    }
+    path.push({ year, return: sourceReturns[cursor % n].return });
+    cursor++;
+    remaining--;
+  }
+
+  return path;
+}
+
+/**
+ * Linear-interpolated percentile of a sorted numeric array
+ */
+function percentileOfSorted(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const pos = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(pos);
+  const upper = Math.ceil(pos);
+  if (lower === upper) return sorted[lower];
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+function summarise(samples) {
+  const bands = {};
+  for (const p of PERCENTILES) bands[`p${p}`] = [];
+
+  for (const column of samples) {
+    const sorted = Float64Array.from(column).sort();
+    for (const p of PERCENTILES) {
+      bands[`p${p}`].push(percentileOfSorted(sorted, p));
+    }
+  }
+  return bands;
+}
+
+/**
+ * Run the simulation on many bootstrapped paths
+ *
+ * @param {number} startCapital - Initial investment amount in EUR
+ * @param {Array<{year: number, return: number}>} sourceReturns - Historical series to bootstrap from
+ * @param {Array<number>} years - Years of the simulated horizon
+ * @param {Object} configs - Tax system configs (same as runSimulation)
+ * @param {Object|number} contributionsByYear - Same as runSimulation
+ * @param {Object} options - { paths, blockLength, seed, simulation, onProgress } — `simulation` is passed
+ *   to runSimulation, `onProgress(done, total)` is called after every path
+ * @returns {Object} Percentile bands per system for wealth, annual and cumulative tax
+ */
+export function runMonteCarlo(startCapital, sourceReturns, years, configs, contributionsByYear = 0, options = {}) {
+  const paths = Math.max(1, Math.round(Number(options.paths) || 1000));
+  const blockLength = Math.max(1, Math.round(Number(options.blockLength) || 1));
+  const random = createRandom(options.seed ?? 42);
+  const onProgress = options.onProgress || (() => {});
+
+  let systems = [];
+  const wealthSamples = {};
+  const annualTaxSamples = {};
+  const cumulativeTaxSamples = {};
+
+  for (let p = 0; p < paths; p++) {
+    const path = bootstrapReturns(sourceReturns, years, { blockLength, random });
+    const result = runSimulation(startCapital, path, configs, contributionsByYear, options.simulation);
+
+    if (p === 0) {
+      systems = result.systems;
+      for (const sys of systems) {
+        wealthSamples[sys] = result.portfolioValues[sys].map(() => new Float64Array(paths));
+        annualTaxSamples[sys] = result.annualTax[sys].map(() => new Float64Array(paths));
+        cumulativeTaxSamples[sys] = result.cumulativeTax[sys].map(() => new Float64Array(paths));
+      }
+    }
+
+    for (const sys of systems) {
+      result.portfolioValues[sys].forEach((v, t) => { wealthSamples[sys][t][p] = v; });
+      result.annualTax[sys].forEach((v, t) => { annualTaxSamples[sys][t][p] = v; });
+      result.cumulativeTax[sys].forEach((v, t) => { cumulativeTaxSamples[sys][t][p] = v; });
+    }
+    onProgress(p + 1, paths);
+  }
+
+  const portfolioValues = {};
+  const annualTax = {};
+  const cumulativeTax = {};
+  const finalValues = {};
+
+  for (const sys of systems) {
+    portfolioValues[sys] = summarise(wealthSamples[sys]);
+    annualTax[sys] = summarise(annualTaxSamples[sys]);
+    cumulativeTax[sys] = summarise(cumulativeTaxSamples[sys]);
+    finalValues[sys] = wealthSamples[sys][wealthSamples[sys].length - 1];
+  }
+
+  const labels = [years.length > 0 ? years[0] - 1 : 'Start', ...years];
+
+  return {
+    labels,
+    taxLabels: [...years],
+    paths,
+    blockLength,
+    percentiles: PERCENTILES,
+    portfolioValues,
+    annualTax,
+    cumulativeTax,
+    finalValues,
+    systems
+  };
+}
+
+/**
+ * Share of paths (0–1) in which system `a` ends with more wealth than system `b`
+ */
+export function probabilityBetter(result, a, b) {
+  const valuesA = result.finalValues[a];
+  const valuesB = result.finalValues[b];
+  if (!valuesA || !valuesB || valuesA.length === 0) return 0;
+
+  let wins = 0;
+  for (let p = 0; p < valuesA.length; p++) {
+    if (valuesA[p] > valuesB[p]) wins++;
+  }
+  return wins / valuesA.length;
+}
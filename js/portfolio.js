@@ -0,0 +1,69 @@
+/**
+ * Blended Portfolio
+ *
+ * Combines several return series into one portfolio return series using
+ * target weights, with optional annual or threshold-based rebalancing.
+ */
+
+/**
+ * Blend yearly return series
+ *
+ * Between rebalances the weights drift with each component's return:
+ *   w_i ← w_i × (1 + r_i) / (1 + R)
+ *
+ * @param {Array<{returns: Object, weight: number}>} components - Return maps ({ year: pct }) with target weights
+ * @param {Object} options
+ * @param {string} options.rebalance - 'annual' | 'threshold' | 'none'
+ * @param {number} options.threshold - Max drift in percentage points before a threshold rebalance
+ * @returns {Array<{year: number, return: number}>} Blended series for the years all components share
+ */
+export function blendReturns(components, options = {}) {
+  const { rebalance = 'annual', threshold = 5 } = options;
+
+  const active = components.filter(c => (Number(c.weight) || 0) > 0 && c.returns);
+  const totalWeight = active.reduce((sum, c) => sum + Number(c.weight), 0);
+  if (active.length === 0 || totalWeight <= 0) return [];
+
+  const targets = active.map(c => Number(c.weight) / totalWeight);
+  const years = getSharedYears(active.map(c => c.returns));
+  const maxDrift = Math.max(0, Number(threshold) || 0) / 100;
+
+  let weights = [...targets];
+  const series = [];
+
+  for (const year of years) {
+    const rates = active.map(c => Number(c.returns[year]) / 100);
+    const portfolioRate = rates.reduce((sum, r, i) => sum + weights[i] * r, 0);
+    series.push({ year, return: portfolioRate * 100 });
+
+    if (1 + portfolioRate <= 0) {
+      weights = [...targets];
+      continue;
+    }
+
+    // Let weights drift with this year's returns
+    weights = weights.map((w, i) => w * (1 + rates[i]) / (1 + portfolioRate));
+
+    if (rebalance === 'annual') {
+      weights = [...targets];
+    } else if (rebalance === 'threshold') {
+      const drifted = weights.some((w, i) => Math.abs(w - targets[i]) > maxDrift);
+      if (drifted) weights = [...targets];
+    }
+  }
+
+  return series;
+}
+
+/**
+ * Sorted years present (with a numeric value) in every given return map
+ */
+export function getSharedYears(returnMaps) {
+  if (returnMaps.length === 0) return [];
+
+  const hasValue = (map, y) => map[y] !== '' && map[y] != null && Number.isFinite(Number(map[y]));
+  return Object.keys(returnMaps[0])
+    .map(Number)
+    .filter(y => returnMaps.every(map => hasValue(map, y)))
+    .sort((a, b) => a - b);
+}
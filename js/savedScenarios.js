@@ -0,0 +1,49 @@
+/**
+ * Saved Scenarios
+ *
+ * Named snapshots of the calculator stored in localStorage under 'savedScenarios':
+ *   [{ id, name, savedAt, state, run, summary }]
+ * `state` is the form state (as in a share link) to load a scenario back,
+ * `run` holds the simulation inputs so it can be re-run without the form and
+ * `summary` the results at the time of saving.
+ */
+
+const STORAGE_KEY = 'savedScenarios';
+
+export function loadScenarios() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list : [];
+  } catch { return []; }
+}
+
+export function saveScenarios(list) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+}
+
+/**
+ * Save a scenario; an existing one with the same name is replaced
+ * @returns {Object} The stored scenario
+ */
+export function storeScenario(name, { state, run, summary }) {
+  const list = loadScenarios();
+  const existing = list.find(s => s.name === name);
+  const scenario = {
+    id: existing ? existing.id : `s${Date.now().toString(36)}`,
+    name,
+    savedAt: new Date().toISOString(),
+    state,
+    run,
+    summary
+  };
+
+  saveScenarios(existing
+    ? list.map(s => (s.id === existing.id ? scenario : s))
+    : [...list, scenario]);
+  return scenario;
+}
+
+export function deleteScenario(id) {
+  saveScenarios(loadScenarios().filter(s => s.id !== id));
+}
@@ -0,0 +1,305 @@
+/**
+ * Scenarios
+ *
+ * A scenario is a plain object that describes one calculator run without the
+ * form, so it can be used outside the browser (command line, API):
+ *
+ *   {
+ *     name: 'Voorbeeld',
+ *     startCapital: 150000,
+ *     monthlyContribution: 500,
+ *     cpiIndexed: false,
+ *     index: 'sp500',                       // built-in series, 'custom:<id>' or 'blend'
+ *     startYear: 2015, endYear: 2024,       // default: 2015 (or the first year) to the last year
+ *     partner: false,
+ *     systems: ['current', 'future'],       // default: all systems
+ *     valueMode: 'nominal',                 // 'nominal' | 'start' | 'today'
+ *     fx: { mode: 'none', hedgeCost: 0 },
+ *     blend: { weights: { allworld: 70, aex: 30 }, rebalance: 'annual', threshold: 5 },
+ *     series: { mijnfonds: { name, currency, returns: { 2015: 4.2, ... } } },
+ *     returns: { 2015: 4.2, ... },          // shorthand for a single custom series
+ *     configs: { future: { taxRate: 36 } }, // overrides per system
+ *     property: { value: 350000, rent: 15000, mortgage: 200000 },
+ *     sleeves, withdrawals, events
+ *   }
+ *
+ * Withdrawals are given as { mode: 'fixed', startYear, monthly, cpiIndexed }
+ * or { mode: 'percent', startYear, percent }; sleeves, property and events have
+ * the same shape as in runSimulation.
+ */
+
+import { marketData, fxData, getCpiForYear } from './marketData.js';
+import { getDefaultConfigs } from './taxSystems.js';
+import { runSimulation, getDefaultSleeves, getDefaultProperty, systemLabels } from './simulation.js';
+import { blendReturns, getSharedYears } from './portfolio.js';
+import { convertReturnsToEur } from './currency.js';
+import { buildWithdrawalsByYear } from './decumulation.js';
+import { toRealEuros, calcAnnualisedReturns } from './inflation.js';
+
+const SERIES_PREFIX = 'custom:';
+const INLINE_SERIES = 'eigen-data';
+const valueModes = ['nominal', 'start', 'today'];
+const fxModes = ['none', 'unhedged', 'hedged'];
+const rebalanceModes = ['annual', 'threshold', 'none'];
+
+/**
+ * Monthly contribution per year, optionally indexed with CPI from the start year
+ * @returns {Object} { year: € per month }
+ */
+export function buildContributionsByYear(baseAmount, startYear, endYear, cpiEnabled) {
+  const map = {};
+  let amount = baseAmount;
+  for (let y = startYear; y <= endYear; y++) {
+    if (cpiEnabled && y > startYear) {
+      const rate = getCpiForYear(y);
+      amount = amount * (1 + rate / 100);
+    }
+    map[y] = Math.round(amount * 100) / 100;
+  }
+  return map;
+}
+
+function toNumber(value, fallback, field) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isFinite(num)) throw new Error(`"${field}" moet een getal zijn (kreeg ${JSON.stringify(value)}).`);
+  return num;
+}
+
+function oneOf(value, allowed, fallback, field) {
+  if (value === undefined || value === null) return fallback;
+  if (!allowed.includes(value)) throw new Error(`"${field}" moet een van ${allowed.join(', ')} zijn (kreeg ${JSON.stringify(value)}).`);
+  return value;
+}
+
+// { year: pct } with only numeric values; throws on anything else
+function readReturns(returns, field) {
+  if (!returns || typeof returns !== 'object' || Array.isArray(returns)) {
+    throw new Error(`"${field}" moet een object { jaar: rendement } zijn.`);
+  }
+  const clean = {};
+  for (const [year, value] of Object.entries(returns)) {
+    if (value === '' || value === null) continue;
+    if (!/^\d{4}$/.test(year)) throw new Error(`"${field}": ongeldig jaar ${JSON.stringify(year)}.`);
+    clean[year] = toNumber(value, null, `${field}.${year}`);
+  }
+  if (Object.keys(clean).length === 0) throw new Error(`"${field}" bevat geen rendementen.`);
+  return clean;
+}
+
+// Series keys in a scenario may be written with or without the 'custom:' prefix
+function toKey(key) {
+  return key.startsWith(SERIES_PREFIX) ? key : `${SERIES_PREFIX}${key}`;
+}
+
+function readSeries(raw) {
+  const series = {};
+  for (const [key, s] of Object.entries(raw.series || {})) {
+    const id = toKey(key).slice(SERIES_PREFIX.length);
+    series[toKey(key)] = {
+      name: s.name || id,
+      currency: s.currency || 'EUR',
+      returns: readReturns(s.returns, `series.${id}.returns`)
+    };
+  }
+  if (raw.returns) {
+    series[toKey(INLINE_SERIES)] = {
+      name: raw.seriesName || 'Eigen data',
+      currency: raw.currency || 'EUR',
+      returns: readReturns(raw.returns, 'returns')
+    };
+  }
+  return series;
+}
+
+function checkSeriesKey(key, series, field) {
+  if (marketData[key] || series[key]) return key;
+  const known = [...Object.keys(marketData), ...Object.keys(series)].join(', ');
+  throw new Error(`Onbekende reeks "${key}" in "${field}". Beschikbaar: ${known}.`);
+}
+
+function readConfigs(raw) {
+  const configs = getDefaultConfigs();
+  const partnerMultiplier = raw.partner ? 2 : 1;
+
+  for (const [sys, overrides] of Object.entries(raw.configs || {})) {
+    if (!configs[sys]) throw new Error(`Onbekend systeem "${sys}" in "configs".`);
+    configs[sys] = { ...configs[sys], ...overrides };
+  }
+  for (const sys of Object.keys(configs)) {
+    if (sys !== 'noTax') configs[sys].partnerMultiplier = partnerMultiplier;
+  }
+  return configs;
+}
+
+function readEvents(events = []) {
+  if (!Array.isArray(events)) throw new Error('"events" moet een lijst zijn.');
+  return events.map((event, i) => ({
+    label: event.label || '',
+    type: oneOf(event.type, ['deposit', 'withdrawal'], 'deposit', `events[${i}].type`),
+    amount: Math.max(0, toNumber(event.amount, 0, `events[${i}].amount`)),
+    year: toNumber(event.year, NaN, `events[${i}].year`),
+    month: toNumber(event.month, 1, `events[${i}].month`),
+    recurring: oneOf(event.recurring, ['none', 'yearly'], 'none', `events[${i}].recurring`),
+    untilYear: toNumber(event.untilYear, null, `events[${i}].untilYear`)
+  })).filter(e => e.amount > 0 && Number.isFinite(e.year));
+}
+
+function readWithdrawals(withdrawals, startYear, endYear) {
+  if (!withdrawals) return null;
+  const mode = oneOf(withdrawals.mode, ['none', 'fixed', 'percent'], 'none', 'withdrawals.mode');
+  if (mode === 'none') return null;
+
+  const from = toNumber(withdrawals.startYear, startYear, 'withdrawals.startYear');
+  if (mode === 'percent') {
+    return { mode, startYear: from, percent: Math.max(0, toNumber(withdrawals.percent, 4, 'withdrawals.percent')) };
+  }
+
+  const monthly = Math.max(0, toNumber(withdrawals.monthly, 0, 'withdrawals.monthly'));
+  return {
+    mode,
+    startYear: from,
+    monthlyByYear: buildWithdrawalsByYear(monthly, Math.max(from, startYear), endYear, Boolean(withdrawals.cpiIndexed))
+  };
+}
+
+/**
+ * Full sorted return history of a source: a built-in series, a custom series or the blend
+ *
+ * @param {Object} source - { index, series, fx: { mode, hedgeCost }, fxRates, blend }
+ * @returns {Array<{year: number, return: number}>}
+ */
+export function resolveReturnSeries(source) {
+  const seriesReturns = key => {
+    const series = source.series[key] || marketData[key];
+    const fxRates = { ...(fxData[series.currency]?.rates || {}), ...(source.fxRates?.[series.currency] || {}) };
+    return convertReturnsToEur(series.returns, series.currency, fxRates, source.fx);
+  };
+
+  if (source.index === 'blend') {
+    const components = Object.entries(source.blend.weights)
+      .map(([key, weight]) => ({ key, weight, returns: seriesReturns(key) }));
+    return blendReturns(components, { rebalance: source.blend.rebalance, threshold: source.blend.threshold });
+  }
+
+  const returns = seriesReturns(source.index);
+  return getSharedYears([returns]).map(y => ({ year: y, return: Number(returns[y]) }));
+}
+
+/**
+ * Validate a scenario and fill in the defaults
+ *
+ * @param {Object} raw - Scenario as described at the top of this module
+ * @returns {Object} Normalised scenario; throws an Error with a readable message when invalid
+ */
+export function normalizeScenario(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Een scenario moet een object zijn.');
+  }
+
+  const series = readSeries(raw);
+  const index = raw.index
+    ? (raw.index === 'blend' || marketData[raw.index] ? raw.index : toKey(raw.index))
+    : (raw.returns ? toKey(INLINE_SERIES) : 'sp500');
+
+  const blend = {
+    weights: {},
+    rebalance: oneOf(raw.blend?.rebalance, rebalanceModes, 'annual', 'blend.rebalance'),
+    threshold: toNumber(raw.blend?.threshold, 5, 'blend.threshold')
+  };
+  if (index === 'blend') {
+    const weights = raw.blend?.weights || {};
+    if (Object.keys(weights).length === 0) throw new Error('"blend.weights" is verplicht bij index "blend".');
+    for (const [key, weight] of Object.entries(weights)) {
+      const resolved = marketData[key] ? key : toKey(key);
+      blend.weights[checkSeriesKey(resolved, series, 'blend.weights')] = Math.max(0, toNumber(weight, 0, `blend.weights.${key}`));
+    }
+  } else {
+    checkSeriesKey(index, series, 'index');
+  }
+
+  const source = {
+    index,
+    series,
+    fx: {
+      mode: oneOf(raw.fx?.mode, fxModes, 'none', 'fx.mode'),
+      hedgeCost: toNumber(raw.fx?.hedgeCost, 0, 'fx.hedgeCost')
+    },
+    fxRates: raw.fxRates || {},
+    blend
+  };
+
+  const years = resolveReturnSeries(source).map(r => r.year);
+  if (years.length === 0) throw new Error(`Reeks "${index}" heeft geen bruikbare jaren.`);
+
+  const startYear = toNumber(raw.startYear, years.includes(2015) ? 2015 : years[0], 'startYear');
+  const endYear = toNumber(raw.endYear, years[years.length - 1], 'endYear');
+  if (!years.includes(startYear) || !years.includes(endYear) || endYear < startYear) {
+    throw new Error(`Periode ${startYear}–${endYear} valt buiten de beschikbare jaren ${years[0]}–${years[years.length - 1]}.`);
+  }
+
+  const systems = raw.systems || Object.keys(systemLabels);
+  const unknown = systems.filter(sys => !systemLabels[sys]);
+  if (unknown.length > 0) throw new Error(`Onbekend systeem in "systems": ${unknown.join(', ')}.`);
+
+  return {
+    name: raw.name ? String(raw.name) : 'Scenario',
+    startCapital: toNumber(raw.startCapital, 150000, 'startCapital'),
+    monthlyContribution: Math.max(0, toNumber(raw.monthlyContribution, 0, 'monthlyContribution')),
+    cpiIndexed: Boolean(raw.cpiIndexed),
+    startYear,
+    endYear,
+    partner: Boolean(raw.partner),
+    systems,
+    valueMode: oneOf(raw.valueMode, valueModes, 'nominal', 'valueMode'),
+    source,
+    configs: readConfigs(raw),
+    sleeves: { ...getDefaultSleeves(), ...(raw.sleeves || {}) },
+    property: { ...getDefaultProperty(), ...(raw.property || {}) },
+    withdrawals: readWithdrawals(raw.withdrawals, startYear, endYear),
+    events: readEvents(raw.events)
+  };
+}
+
+/**
+ * The inputs a normalised scenario was run with, for output next to its results
+ */
+export function describeScenario(scenario) {
+  return {
+    startCapital: scenario.startCapital,
+    monthlyContribution: scenario.monthlyContribution,
+    cpiIndexed: scenario.cpiIndexed,
+    index: scenario.source.index,
+    startYear: scenario.startYear,
+    endYear: scenario.endYear,
+    partner: scenario.partner,
+    systems: scenario.systems,
+    valueMode: scenario.valueMode
+  };
+}
+
+/**
+ * Run a scenario through runSimulation
+ *
+ * @param {Object} raw - Scenario as described at the top of this module
+ * @returns {Object} { scenario, result, annualised } — `result` is in the scenario's value mode
+ */
+export function runScenario(raw) {
+  const scenario = normalizeScenario(raw);
+  const { startYear, endYear } = scenario;
+  const returns = resolveReturnSeries(scenario.source).filter(r => r.year >= startYear && r.year <= endYear);
+  const contributionsByYear = buildContributionsByYear(scenario.monthlyContribution, startYear, endYear, scenario.cpiIndexed);
+
+  const nominal = runSimulation(scenario.startCapital, returns, scenario.configs, contributionsByYear, {
+    sleeves: scenario.sleeves,
+    property: scenario.property,
+    withdrawals: scenario.withdrawals,
+    events: scenario.events
+  });
+
+  return {
+    scenario,
+    result: scenario.valueMode === 'nominal' ? nominal : toRealEuros(nominal, scenario.valueMode),
+    annualised: calcAnnualisedReturns(nominal, contributionsByYear, { real: scenario.valueMode !== 'nominal' })
+  };
+}
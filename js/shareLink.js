@@ -0,0 +1,76 @@
+/**
+ * Shareable Links
+ *
+ * Encodes the calculator state as base64url JSON for the URL hash (#s=...).
+ * Custom return series are packed as a start year plus a value array so a
+ * link reproduces results without access to the sender's browser storage.
+ */
+
+const HASH_PREFIX = '#s=';
+export const STATE_VERSION = 1;
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0)));
+}
+
+/**
+ * { year: pct } → { start, values } with null for missing years
+ */
+export function packReturns(returns = {}) {
+  const years = Object.keys(returns)
+    .filter(y => returns[y] !== '' && returns[y] != null && Number.isFinite(Number(returns[y])))
+    .map(Number)
+    .sort((a, b) => a - b);
+  if (years.length === 0) return { start: null, values: [] };
+
+  const start = years[0];
+  const values = [];
+  for (let y = start; y <= years[years.length - 1]; y++) {
+    const value = Number(returns[y]);
+    // Not rounded: the link has to reproduce the result exactly
+    values.push(returns[y] === '' || returns[y] == null || !Number.isFinite(value) ? null : value);
+  }
+  return { start, values };
+}
+
+/**
+ * { start, values } → { year: pct }
+ */
+export function unpackReturns(packed) {
+  const returns = {};
+  if (!packed || !Array.isArray(packed.values)) return returns;
+  packed.values.forEach((value, i) => {
+    if (value !== null && Number.isFinite(Number(value))) returns[packed.start + i] = Number(value);
+  });
+  return returns;
+}
+
+/**
+ * State object → URL hash ("#s=...")
+ */
+export function encodeState(state) {
+  return HASH_PREFIX + toBase64Url(JSON.stringify({ v: STATE_VERSION, ...state }));
+}
+
+/**
+ * URL hash → state object, or null when the hash holds no (valid) state
+ */
+export function decodeState(hash) {
+  if (typeof hash !== 'string' || !hash.startsWith(HASH_PREFIX)) return null;
+  try {
+    const state = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+    if (!state || typeof state !== 'object' || state.v !== STATE_VERSION) return null;
+    return state;
+  } catch {
+    return null;
+  }
+}
@@ -3,50 +3,332 @@
  *
  * Runs a year-by-year simulation of portfolio growth under multiple tax regimes,
  * using historical market return data.
+ *
+ * Wealth is tracked in three sleeves per system: savings (earning a fixed
+ * interest rate), investments (earning the index return) and debt (accruing
+ * interest). Every tax system sees the real category balances. Under the 2028
+ * regime the investments can be tagged as an asset class that is taxed on
+ * realisation (startup shares) instead of on yearly growth. A property (WOZ
+ * value with rent and an optional mortgage) can be held next to the portfolio.
  */
 
 import {
-  calcNoTax,
-  calcOldSystem,
-  calcOldMethodSystem,
-  calcCurrentSystem,
-  calcFutureIncome,
-  calcFutureSystem,
-  calcActualReturnSystem
+  calcNoTaxDetailed,
+  calcOldSystemDetailed,
+  calcOldMethodSystemDetailed,
+  calcCurrentSystemDetailed,
+  calcFutureSystemDetailed,
+  calcFutureSystemByClassDetailed,
+  calcRealisedGainTaxDetailed,
+  calcCorporateTaxDetailed,
+  calcBox2Tax,
+  grossUpDividend,
+  calcPensionTaxDetailed,
+  resolveYearConfig,
+  getRegimeForYear
 } from './taxSystems.js';
+import { createLedger, buyLot, sellLots } from './lots.js';
+
+/**
+ * Display name per tax system, in the order the simulation returns them
+ */
+export const systemLabels = {
+  noTax: 'Geen belasting',
+  old: 'Oud systeem (vóór 2017)',
+  oldMethod: 'Oude methode (2017–2022)',
+  current: 'Huidig systeem (overbruggingswet)',
+  future: 'Toekomstig (2028+)',
+  dutchLaw: 'Werkelijke wetgeving',
+  actualReturn: 'De Nederlandse Droom',
+  bv: 'Holding BV (box 2)',
+  pension: 'Lijfrente / pensioen'
+};
+
+/**
+ * Default sleeve setup: everything invested, no savings and no debt
+ */
+export function getDefaultSleeves() {
+  return {
+    allocSavings: 0,   // % of start capital and contributions
+    allocInvest: 100,  // % of start capital and contributions
+    debt: 0,           // € outstanding at the start
+    savingsRate: 1.5,  // % interest per year
+    debtRate: 4,       // % interest per year
+    investClass: 'liquid' // 2028 asset class of the investments: 'liquid', 'startup' or 'realEstate'
+  };
+}
+
+/**
+ * Default property: none (a WOZ value of 0). Amounts in € per year, rates in %;
+ * the purchase price is the cost basis for a gain on sale (default: the WOZ value)
+ */
+export function getDefaultProperty() {
+  return {
+    value: 0,           // WOZ value at the start
+    growth: 3,          // % WOZ growth per year
+    rent: 0,            // € rental income per year
+    costs: 0,           // € maintenance and other costs per year
+    mortgage: 0,        // € outstanding at the start
+    mortgageRate: 4,    // % interest per year
+    repayment: 0,       // € repaid per year
+    purchasePrice: null
+  };
+}
+
+function normalizeProperty(property = {}) {
+  const merged = { ...getDefaultProperty(), ...(property || {}) };
+  const value = Math.max(0, Number(merged.value) || 0);
+  if (value <= 0) return null;
+
+  const purchasePrice = Number(merged.purchasePrice);
+  return {
+    value,
+    growth: (Number(merged.growth) || 0) / 100,
+    rent: Math.max(0, Number(merged.rent) || 0),
+    costs: Math.max(0, Number(merged.costs) || 0),
+    mortgage: Math.max(0, Number(merged.mortgage) || 0),
+    mortgageRate: (Number(merged.mortgageRate) || 0) / 100,
+    repayment: Math.max(0, Number(merged.repayment) || 0),
+    purchasePrice: merged.purchasePrice !== null && Number.isFinite(purchasePrice) && purchasePrice > 0 ? purchasePrice : value
+  };
+}
+
+function normalizeSleeves(sleeves = {}) {
+  const merged = { ...getDefaultSleeves(), ...sleeves };
+  const savings = Math.max(0, Number(merged.allocSavings) || 0);
+  const invest = Math.max(0, Number(merged.allocInvest) || 0);
+  const total = savings + invest;
+
+  return {
+    savingsShare: total > 0 ? savings / total : 0,
+    investShare: total > 0 ? invest / total : 1,
+    debt: Math.max(0, Number(merged.debt) || 0),
+    savingsRate: (Number(merged.savingsRate) || 0) / 100,
+    debtRate: (Number(merged.debtRate) || 0) / 100,
+    investClass: ['startup', 'realEstate'].includes(merged.investClass) ? merged.investClass : 'liquid'
+  };
+}
+
+/**
+ * Withdrawal schedule (decumulation). Nothing is withdrawn before `startYear`.
+ * - fixed:   `monthlyByYear[year]` (or a flat `monthly`) € per month
+ * - percent: `percent`% of the start-of-year liquid wealth (see liquidWealth) per year, spread over 12 months
+ */
+function normalizeWithdrawals(withdrawals) {
+  if (!withdrawals || (withdrawals.mode !== 'fixed' && withdrawals.mode !== 'percent')) return null;
+
+  const startYear = Number(withdrawals.startYear);
+  return {
+    mode: withdrawals.mode,
+    startYear: Number.isFinite(startYear) ? startYear : -Infinity,
+    monthlyByYear: withdrawals.monthlyByYear || null,
+    monthly: Math.max(0, Number(withdrawals.monthly) || 0),
+    percent: Math.max(0, Number(withdrawals.percent) || 0)
+  };
+}
+
+function plannedWithdrawal(plan, year, startOfYearValue) {
+  if (!plan || year < plan.startYear) return 0;
+  if (plan.mode === 'percent') {
+    return Math.max(0, startOfYearValue) * (plan.percent / 100) / 12;
+  }
+  const amount = plan.monthlyByYear ? plan.monthlyByYear[year] : plan.monthly;
+  return Math.max(0, Number(amount) || 0);
+}
+
+/**
+ * Deposit / withdrawal events, e.g.
+ *   { type: 'deposit', amount: 50000, year: 2015, month: 6 }
+ *   { type: 'withdrawal', amount: 80000, year: 2020, month: 1 }
+ *   { type: 'deposit', amount: 3000, year: 2016, month: 3, recurring: 'yearly', untilYear: 2030 }
+ *
+ * Returns year => Float64Array(12) of net flows per month (deposits positive).
+ * Events land at the start of their month, after the 1 January peildatum.
+ */
+function buildEventSchedule(events, years) {
+  const schedule = {};
+  if (!Array.isArray(events) || events.length === 0) return schedule;
+
+  for (const event of events) {
+    const amount = Math.max(0, Number(event.amount) || 0);
+    const year = Math.round(Number(event.year));
+    if (amount <= 0 || !Number.isFinite(year)) continue;
+
+    const month = Math.min(12, Math.max(1, Math.round(Number(event.month) || 1)));
+    const sign = event.type === 'withdrawal' ? -1 : 1;
+    const untilYear = Number.isFinite(Number(event.untilYear)) && event.untilYear !== '' && event.untilYear !== null
+      ? Number(event.untilYear)
+      : Infinity;
+
+    for (const y of years) {
+      const applies = event.recurring === 'yearly'
+        ? y >= year && y <= untilYear
+        : y === year;
+      if (!applies) continue;
+      if (!schedule[y]) schedule[y] = new Float64Array(12);
+      schedule[y][month - 1] += sign * amount;
+    }
+  }
+  return schedule;
+}
+
+const netWealth = b => b.savings + b.invest - b.debt + b.property - b.mortgage;
+const liquid = b => b.savings + b.invest;
+
+/**
+ * Wealth that withdrawals can be paid from: savings and investments minus
+ * debts, without the property (equity in a home can't be withdrawn)
+ */
+export const liquidWealth = b => liquid(b) - b.debt;
 
 /**
  * Run the full simulation
  *
- * @param {number} startCapital - Initial investment amount in EUR
+ * @param {number} startCapital - Initial assets in EUR (split over savings and investments)
  * @param {Array<{year: number, return: number}>} returns - Array of yearly returns
- * @param {Object} configs - Tax system configs { noTax, old, current, future, actualReturn }
+ * @param {Object} configs - Tax system configs { noTax, old, current, future, dutchLaw, actualReturn, bv, pension }.
+ *   old / oldMethod / current only need overrides; the rest is looked up per year.
+ *   dutchLaw applies the regime in force per year (statutory tables, configs.future from 2028).
+ *   bv invests through a holding: Vpb yearly, box 2 on payouts and on liquidation at the end.
+ *   pension deducts deposits in box 1 up to the jaarruimte (the start capital is not deducted)
+ *   and pays out over configs.pension.payoutYears; it ignores planned withdrawals and
+ *   withdrawal events, as the money is locked until the payout. The refund is paid out.
+ *   The property (options.property) is held by the Box 3 systems and noTax, not by bv and pension.
  * @param {Object|number} contributionsByYear - Map of { year: monthlyAmount } or a flat number for backwards compat
- * @returns {Object} Simulation results with arrays for each chart
+ * @param {Object} options - { sleeves, withdrawals, events, property, breakdown } — see getDefaultSleeves(),
+ *   normalizeWithdrawals(), buildEventSchedule() and getDefaultProperty(); with `breakdown` the per-year
+ *   calculator details are kept as well
+ * @returns {Object} Simulation results with arrays for each chart;
+ *   `counterEvidence[sys]` flags the years where the tegenbewijsregeling lowered the tax,
+ *   `withdrawals[sys]` holds the amount actually withdrawn per year (for bv net of box 2, including
+ *   dividend payouts; for pension the payouts net of box 1 and the refunds) and
+ *   `depletionYear[sys]` the first year a planned withdrawal could not be paid in full (or null),
+ *   `eventFlows[sys]` the net amount of deposit/withdrawal events actually executed per year,
+ *   `contributions` the regular deposits per year (the same for every system),
+ *   `breakdown[sys]` (only with options.breakdown) the calculator breakdown per year
  */
-export function runSimulation(startCapital, returns, configs, contributionsByYear = 0) {
+export function runSimulation(startCapital, returns, configs, contributionsByYear = 0, options = {}) {
   // Support both old flat number and new per-year map
   const isMap = typeof contributionsByYear === 'object' && contributionsByYear !== null;
   const years = returns.map(r => r.year);
+  const sleeves = normalizeSleeves(options.sleeves);
+  const withdrawalPlan = normalizeWithdrawals(options.withdrawals);
+  const eventSchedule = buildEventSchedule(options.events, years);
+  const property = normalizeProperty(options.property);
+  // The holding BV and the pension only hold the portfolio
+  const ownsProperty = sys => Boolean(property) && sys !== 'bv' && sys !== 'pension';
 
   // Initialize tracking arrays
-  const systems = ['noTax', 'old', 'oldMethod', 'current', 'future', 'actualReturn'];
+  const systems = Object.keys(systemLabels);
   const portfolioValues = {};
   const annualTax = {};
   const cumulativeTax = {};
+  const balances = {};
+  const counterEvidence = { current: [], dutchLaw: [] };
+  const withdrawals = {};
+  const depletionYear = {};
+  const eventFlows = {};
+  const contributions = [];
+  const breakdown = options.breakdown ? {} : null;
+
+  // Loss carry forward for the future regime (also used by dutchLaw from 2028)
+  const lossCarryForward = { future: 0, dutchLaw: 0 };
+  let dutchLawRegime = null;
+  const dutchLawConfig = configs.dutchLaw || {};
+
+  const startBalances = {
+    savings: startCapital * sleeves.savingsShare,
+    invest: startCapital * sleeves.investShare,
+    debt: sleeves.debt,
+    property: 0,
+    mortgage: 0
+  };
+  const propertyBalances = property
+    ? { ...startBalances, property: property.value, mortgage: property.mortgage }
+    : startBalances;
 
-  // Loss carry forward for future system
-  let futureCarryForwardLoss = 0;
+  // Cost basis of the property for a gain on sale, per system that taxes it
+  const propertyCost = property
+    ? { future: property.purchasePrice, dutchLaw: property.purchasePrice, actualReturn: property.purchasePrice }
+    : {};
+
+  // Actual return: cost basis per purchase lot, the gain realised so far this year
+  // and what the exemption and brackets have covered
+  const actualReturnConfig = configs.actualReturn || {};
+  const lots = createLedger(actualReturnConfig.lotMethod);
+  buyLot(lots, liquid(startBalances), 0);
+  const realisation = { realised: 0, taxPaid: 0, lossCarryForward: 0 };
+  let realisedGain = 0;
+
+  // Holding BV: Vpb loss carry-forward, capital paid in, and the dividends paid
+  // out this calendar year with the box 2 withheld on them
+  const bvConfig = configs.bv || {};
+  const holding = { lossCarryForward: 0, paidIn: netWealth(startBalances), dividends: 0, withheld: 0 };
+
+  // 2028 regime with investments taxed on realisation: cost basis, gain realised
+  // this year and the amounts bought and sold, per system that applies it
+  const classBooks = {};
+  if (sleeves.investClass !== 'liquid') {
+    for (const sys of ['future', 'dutchLaw']) {
+      classBooks[sys] = { ledger: createLedger('average'), realised: 0, bought: 0, sold: 0 };
+      buyLot(classBooks[sys].ledger, startBalances.invest, 0);
+    }
+  }
+  const buyInvest = (sys, amount, investBefore) => {
+    const book = classBooks[sys];
+    if (!book || !(amount > 0)) return;
+    book.realised += buyLot(book.ledger, amount, investBefore);
+    book.bought += amount;
+  };
 
-  // Cost basis tracking for actualReturn (startCapital + all deposits)
-  let actualReturnCostBasis = startCapital;
+  // Lijfrente / pension: payouts start at the configured year, else with the planned withdrawals
+  const pensionConfig = configs.pension || {};
+  const payoutStart = Number.isFinite(pensionConfig.payoutStart)
+    ? pensionConfig.payoutStart
+    : (withdrawalPlan ? withdrawalPlan.startYear : null);
+  // The start capital already is Box 3 wealth, not a deductible premium: it goes into
+  // the pot undeducted, like deposits above the jaarruimte, and comes back tax free
+  const pensionState = { undeducted: liquid(startBalances) };
 
   for (const sys of systems) {
-    portfolioValues[sys] = [startCapital]; // starting value at year 0
+    const start = ownsProperty(sys) ? propertyBalances : startBalances;
+    portfolioValues[sys] = [netWealth(start)]; // starting value at year 0
     annualTax[sys] = [];
     cumulativeTax[sys] = [];
+    balances[sys] = [{ ...start }];
+    withdrawals[sys] = [];
+    depletionYear[sys] = null;
+    eventFlows[sys] = [];
+    if (breakdown) breakdown[sys] = [];
   }
 
+  // Withdraw from the liquid sleeves; for actualReturn a withdrawal is a sale that realises gain.
+  // Money out of the BV is a dividend, grossed up so the owner receives `amount` after box 2.
+  const takeFromSleeves = (sys, b, amount) => {
+    if (sys === 'bv') return payDividend(b, grossUpDividend(amount, bvConfig, holding.dividends), bvConfig, holding);
+    const valueBefore = liquid(b);
+    const investBefore = b.invest;
+    const taken = withdrawFromSleeves(b, amount);
+    if (sys === 'actualReturn') realisedGain += sellLots(lots, taken, valueBefore).gain;
+    const book = classBooks[sys];
+    if (book && investBefore > b.invest) {
+      book.realised += sellLots(book.ledger, investBefore - b.invest, investBefore).gain;
+      book.sold += investBefore - b.invest;
+    }
+    return taken;
+  };
+
+  // Deposit into the sleeves, buying lots where gains are taxed on realisation
+  const addToSleeves = (sys, b, amount) => {
+    if (sys === 'actualReturn') realisedGain += buyLot(lots, amount, liquid(b));
+    buyInvest(sys, amount * sleeves.investShare, b.invest);
+    b.savings += amount * sleeves.savingsShare;
+    b.invest += amount * sleeves.investShare;
+  };
+
+  const savingsMonthly = Math.pow(1 + sleeves.savingsRate, 1 / 12);
+  const debtMonthly = Math.pow(1 + sleeves.debtRate, 1 / 12);
+
   for (let i = 0; i < returns.length; i++) {
     const yearKey = returns[i].year;
     const deposit = isMap
@@ -56,79 +338,214 @@ export function runSimulation(startCapital, returns, configs, contributionsByYea
     const annualFactor = 1 + annualRate;
     const monthlyFactor = annualFactor <= 0 ? 0 : Math.pow(annualFactor, 1 / 12);
     const contributionsThisYear = deposit * 12;
+    const monthlyEvents = eventSchedule[yearKey] || null;
 
-    // Track cost basis for actualReturn
-    actualReturnCostBasis += contributionsThisYear;
+    contributions.push(contributionsThisYear);
+    holding.paidIn += contributionsThisYear;
+    holding.dividends = 0;
+    holding.withheld = 0;
 
     for (const sys of systems) {
-      const prevValue = portfolioValues[sys][i]; // peildatum / start-of-year wealth
+      const prev = balances[sys][i]; // peildatum / start-of-year balances
+      const prevValue = portfolioValues[sys][i];
+      // Money in the pension is locked until its own payouts
+      const locked = sys === 'pension';
+      const withdrawal = locked ? 0 : plannedWithdrawal(withdrawalPlan, yearKey, liquidWealth(prev));
+      let withdrawnThisYear = 0;
+      let eventFlowThisYear = 0;
 
-      // Apply market return with optional monthly contributions (end of month).
-      // When deposit is 0, use the direct annual return for parity with old behavior.
-      let valueAfterReturn;
-      if (deposit <= 0) {
-        valueAfterReturn = prevValue * annualFactor;
+      // Holdings taxed on realisation enter the 2028 regime at their value on 1 January
+      const book = classBooks[sys];
+      if (sys === 'dutchLaw' && getRegimeForYear(yearKey) === 'future' && dutchLawRegime !== 'future') {
+        if (book) {
+          book.ledger = createLedger('average');
+          buyLot(book.ledger, prev.invest, 0);
+          book.realised = 0;
+        }
+        if (ownsProperty(sys)) propertyCost.dutchLaw = prev.property;
+      }
+
+      // Apply returns with optional monthly contributions and withdrawals (end of month)
+      // and events (start of month).
+      // Without cash flows, use the direct annual rates for parity with old behavior.
+      const next = { ...prev };
+      if (deposit <= 0 && withdrawal <= 0 && !monthlyEvents) {
+        next.savings *= 1 + sleeves.savingsRate;
+        next.invest *= annualFactor;
+        next.debt *= 1 + sleeves.debtRate;
       } else {
-        let value = prevValue;
         for (let m = 0; m < 12; m++) {
-          value *= monthlyFactor;
-          value += deposit;
+          const eventFlow = monthlyEvents ? monthlyEvents[m] : 0;
+          if (eventFlow > 0) {
+            addToSleeves(sys, next, eventFlow);
+            if (sys === 'bv') holding.paidIn += eventFlow;
+            eventFlowThisYear += eventFlow;
+          } else if (eventFlow < 0 && !locked) {
+            eventFlowThisYear -= takeFromSleeves(sys, next, -eventFlow);
+          }
+
+          next.savings = next.savings * savingsMonthly + deposit * sleeves.savingsShare;
+          next.invest = next.invest * monthlyFactor + deposit * sleeves.investShare;
+          next.debt *= debtMonthly;
+          if (sys === 'actualReturn' && deposit > 0) realisedGain += buyLot(lots, deposit, liquid(next) - deposit);
+          buyInvest(sys, deposit * sleeves.investShare, next.invest - deposit * sleeves.investShare);
+
+          if (withdrawal > 0) {
+            const taken = takeFromSleeves(sys, next, withdrawal);
+            withdrawnThisYear += taken;
+            if (taken < withdrawal - 0.005 && depletionYear[sys] === null) {
+              depletionYear[sys] = yearKey;
+            }
+          }
+        }
+      }
+
+      // Property: WOZ growth; rent minus costs, mortgage interest and repayment are
+      // settled in cash at the end of the year (a shortfall the sleeves can't pay becomes debt)
+      let propertyYear = null;
+      let financed = 0;
+      if (ownsProperty(sys)) {
+        propertyYear = advanceProperty(next, property);
+        if (propertyYear.cash > 0) {
+          addToSleeves(sys, next, propertyYear.cash);
+        } else if (propertyYear.cash < 0) {
+          financed = -propertyYear.cash - takeFromSleeves(sys, next, -propertyYear.cash);
+          next.debt += financed;
         }
-        valueAfterReturn = value;
       }
+      const isLastYear = i === returns.length - 1;
 
-      // Return excluding contributions (deposits are not investment return)
-      const returnAmount = valueAfterReturn - prevValue - contributionsThisYear;
+      const valueAfterReturn = netWealth(next);
+      withdrawals[sys].push(withdrawnThisYear);
+      eventFlows[sys].push(eventFlowThisYear);
+
+      // Return excluding cash flows (deposits, withdrawals and events are not investment return)
+      const returnAmount = valueAfterReturn - prevValue - contributionsThisYear + withdrawnThisYear - eventFlowThisYear;
+
+      // 2028 asset classes: investments and property taxed on realisation get their own
+      // income, the rest is liquid; in the last year everything is sold
+      let holdings = null;
+      if (book || propertyYear) {
+        holdings = [];
+        let liquidReturn = returnAmount;
+        if (book) {
+          const investReturn = next.invest - prev.invest - book.bought + book.sold;
+          if (isLastYear) book.realised += sellLots(book.ledger, next.invest, next.invest).gain;
+          holdings.push({ assetClass: sleeves.investClass, value: prev.invest, return: investReturn, realisedGain: book.realised });
+          liquidReturn -= investReturn;
+          book.realised = 0;
+          book.bought = 0;
+          book.sold = 0;
+        }
+        if (propertyYear) {
+          holdings.push({
+            assetClass: 'realEstate',
+            label: 'Woning',
+            value: prev.property,
+            return: propertyYear.growth + propertyYear.income,
+            income: propertyYear.income,
+            realisedGain: isLastYear && propertyCost[sys] !== undefined ? next.property - propertyCost[sys] : 0
+          });
+          liquidReturn -= propertyYear.growth + propertyYear.income;
+        }
+        holdings.unshift({
+          assetClass: 'liquid',
+          label: book ? 'Spaargeld & schulden' : 'Spaargeld, beleggingen & schulden',
+          value: prev.savings + (book ? 0 : prev.invest) - prev.debt,
+          return: liquidReturn
+        });
+      }
 
       // Calculate tax
-      let tax = 0;
+      let detail;
       switch (sys) {
         case 'noTax':
-          tax = calcNoTax();
+          detail = calcNoTaxDetailed();
           break;
         case 'old':
-          tax = calcOldSystem(prevValue, returnAmount, configs.old);
+          detail = calcOldSystemDetailed(prevValue, returnAmount, resolveYearConfig('old', yearKey, configs.old));
           break;
         case 'oldMethod':
-          tax = calcOldMethodSystem(prevValue, returnAmount, configs.oldMethod);
+          detail = calcOldMethodSystemDetailed(prevValue, returnAmount, resolveYearConfig('oldMethod', yearKey, configs.oldMethod));
           break;
         case 'current':
-          tax = calcCurrentSystem(prevValue, returnAmount, configs.current);
+          detail = calcCurrentSystemDetailed(prevValue, returnAmount, resolveYearConfig('current', yearKey, configs.current), prev);
+          counterEvidence.current.push(detail.counterEvidenceApplied);
           break;
-        case 'future': {
-          const incomeBeforeLossSetoff = calcFutureIncome(returnAmount, configs.future);
-          const partnerMultiplier = Number(configs.future.partnerMultiplier) > 1 ? 2 : 1;
-          const lossThreshold = (Number(configs.future.lossThreshold) || 500) * partnerMultiplier;
-
-          if (incomeBeforeLossSetoff < 0) {
-            const recognisedLoss = Math.abs(incomeBeforeLossSetoff);
-            if (recognisedLoss > lossThreshold) {
-              futureCarryForwardLoss += recognisedLoss;
-            }
-            tax = 0;
-          } else if (incomeBeforeLossSetoff === 0) {
-            tax = 0;
+        case 'future':
+          detail = calcFutureTax(holdings || returnAmount, configs.future, lossCarryForward, 'future');
+          break;
+        case 'dutchLaw': {
+          const regime = getRegimeForYear(yearKey);
+          // Each switch starts the new regime fresh: no loss carry-forward before 2028
+          if (regime !== dutchLawRegime) {
+            lossCarryForward.dutchLaw = 0;
+            dutchLawRegime = regime;
+          }
+          const partnerMultiplier = dutchLawConfig.partnerMultiplier ?? 1;
+          if (regime === 'future') {
+            detail = calcFutureTax(holdings || returnAmount, { ...configs.future, partnerMultiplier }, lossCarryForward, 'dutchLaw');
+          } else if (regime === 'current') {
+            const yearConfig = resolveYearConfig('current', yearKey, {
+              partnerMultiplier,
+              counterEvidence: Boolean(dutchLawConfig.counterEvidence)
+            });
+            detail = calcCurrentSystemDetailed(prevValue, returnAmount, yearConfig, prev);
           } else {
-            const lossUsed = Math.min(futureCarryForwardLoss, incomeBeforeLossSetoff);
-            futureCarryForwardLoss -= lossUsed;
-
-            const taxableIncome = incomeBeforeLossSetoff - lossUsed;
-            tax = calcFutureSystem(valueAfterReturn, taxableIncome, configs.future);
+            const yearConfig = resolveYearConfig(regime, yearKey, { partnerMultiplier });
+            detail = regime === 'old'
+              ? calcOldSystemDetailed(prevValue, returnAmount, yearConfig)
+              : calcOldMethodSystemDetailed(prevValue, returnAmount, yearConfig);
           }
+          detail.regime = regime;
+          counterEvidence.dutchLaw.push(Boolean(detail.counterEvidenceApplied));
           break;
         }
-        case 'actualReturn':
-          // No annual tax — tax is only levied at sale (handled after the loop)
-          tax = 0;
+        case 'actualReturn': {
+          // Tax on what was sold this year; interest on debt is a cost against the gain.
+          // The property is sold in the last year as well.
+          const debtInterest = next.debt - prev.debt - financed;
+          const propertyGain = propertyYear && isLastYear ? next.property - propertyCost.actualReturn : 0;
+          const { pendingGain, ...settledDetail } = settleRealisationYear(
+            next, realisedGain - debtInterest + propertyGain, yearKey, isLastYear,
+            lots, actualReturnConfig, realisation
+          );
+          detail = { ...settledDetail, actualReturn: returnAmount };
+          realisedGain = pendingGain;
           break;
+        }
+        case 'bv':
+          // The box 2 withheld on withdrawals left the BV as well, so it counts towards its return
+          detail = settleHoldingYear(next, returnAmount + holding.withheld, bvConfig, holding);
+          withdrawals.bv[i] += detail.payout;
+          break;
+        case 'pension': {
+          // Contributions and deposit events are premiums; the start capital is not
+          const deposited = contributionsThisYear + eventFlowThisYear;
+          detail = settlePensionYear(next, deposited, payoutYear(payoutStart, pensionConfig, yearKey), pensionConfig, pensionState);
+          detail.actualReturn = returnAmount;
+          withdrawals.pension[i] += detail.payout;
+          break;
+        }
       }
 
-      // Don't let tax exceed the portfolio value
-      tax = Math.min(tax, Math.max(0, valueAfterReturn));
+      // Don't let tax exceed the portfolio value; the BV, pension and realisation
+      // regimes have settled their tax already
+      const settled = sys === 'bv' || sys === 'pension' || sys === 'actualReturn';
+      const tax = settled ? detail.tax : Math.min(detail.tax, Math.max(0, valueAfterReturn));
+      if (breakdown) breakdown[sys].push({ ...detail, year: yearKey, startValue: prevValue, tax });
 
-      const valueAfterTax = valueAfterReturn - tax;
+      // Tax is paid from savings first, the remainder from investments; for investments
+      // taxed on realisation that is a sale, whose gain counts in the next year.
+      // Tax on the property that the sleeves can't cover is borrowed.
+      if (!settled) {
+        const investBefore = next.invest;
+        payOrBorrow(next, tax);
+        if (book && investBefore > next.invest) book.realised += sellLots(book.ledger, investBefore - next.invest, investBefore).gain;
+      }
 
-      portfolioValues[sys].push(valueAfterTax);
+      portfolioValues[sys].push(netWealth(next));
+      balances[sys].push(next);
       annualTax[sys].push(tax);
 
       const prevCumTax = cumulativeTax[sys].length > 0
@@ -138,20 +555,50 @@ export function runSimulation(startCapital, returns, configs, contributionsByYea
     }
   }
 
-  // ── Actual Return: apply tax at sale (end of simulation) ──
+  // ── Holding BV: box 2 on liquidation (end of simulation) ──
+  if (returns.length > 0 && bvConfig.liquidate !== false) {
+    const lastIdx = portfolioValues.bv.length - 1;
+    const lastYear = annualTax.bv.length - 1;
+    const endValue = portfolioValues.bv[lastIdx];
+    // Paid-in capital comes back tax free; only the gain above it is a dividend
+    const gain = Math.max(0, endValue - holding.paidIn);
+    const liquidationTax = Math.min(calcBox2Tax(gain, bvConfig, holding.dividends), Math.max(0, endValue));
+    if (breakdown) {
+      const last = breakdown.bv[lastYear];
+      breakdown.bv[lastYear] = {
+        ...last,
+        costBasis: holding.paidIn,
+        brackets: [...last.brackets, { label: 'Box 2 liquidatie', amount: gain, tax: liquidationTax }],
+        tax: last.tax + liquidationTax
+      };
+    }
+
+    payFromSleeves(balances.bv[lastIdx], liquidationTax);
+    portfolioValues.bv[lastIdx] = endValue - liquidationTax;
+    annualTax.bv[lastYear] += liquidationTax;
+    cumulativeTax.bv[lastYear] += liquidationTax;
+  }
+
+  // ── Pension: what is still in the pot is worth the payout after box 1 ──
   if (returns.length > 0) {
-    const lastIdx = portfolioValues.actualReturn.length - 1;
-    const endValue = portfolioValues.actualReturn[lastIdx];
-    const totalGain = endValue - actualReturnCostBasis;
-    const saleTax = Math.min(
-      calcActualReturnSystem(totalGain, configs.actualReturn),
-      Math.max(0, endValue)
-    );
-
-    // Adjust the final data points
-    portfolioValues.actualReturn[lastIdx] = endValue - saleTax;
-    annualTax.actualReturn[annualTax.actualReturn.length - 1] = saleTax;
-    cumulativeTax.actualReturn[cumulativeTax.actualReturn.length - 1] = saleTax;
+    const lastIdx = portfolioValues.pension.length - 1;
+    const lastYear = annualTax.pension.length - 1;
+    const endValue = portfolioValues.pension[lastIdx];
+    const pot = Math.max(0, liquid(balances.pension[lastIdx]));
+    const deferred = calcPensionTaxDetailed(0, pot, pensionConfig, pensionState.undeducted).tax;
+    if (breakdown && deferred > 0) {
+      const last = breakdown.pension[lastYear];
+      breakdown.pension[lastYear] = {
+        ...last,
+        brackets: [...last.brackets, { label: 'Latente box 1 (restant)', amount: pot, tax: deferred }],
+        tax: last.tax + deferred
+      };
+    }
+
+    payFromSleeves(balances.pension[lastIdx], deferred);
+    portfolioValues.pension[lastIdx] = endValue - deferred;
+    annualTax.pension[lastYear] += deferred;
+    cumulativeTax.pension[lastYear] += deferred;
   }
 
   // Labels: start year - 1 (initial), then each year
@@ -164,6 +611,185 @@ export function runSimulation(startCapital, returns, configs, contributionsByYea
     portfolioValues,
     annualTax,
     cumulativeTax,
+    balances,
+    counterEvidence,
+    withdrawals,
+    depletionYear,
+    eventFlows,
+    contributions,
+    ...(breakdown && { breakdown }),
     systems
   };
 }
+
+/**
+ * Future regime breakdown for one year, including loss set-off.
+ * `returnAmount` is the year's return, or the holdings per asset class.
+ * `carryForward[key]` holds the remaining loss and is updated in place.
+ */
+function calcFutureTax(returnAmount, config, carryForward, key) {
+  const detail = Array.isArray(returnAmount)
+    ? calcFutureSystemByClassDetailed(returnAmount, config, carryForward[key])
+    : calcFutureSystemDetailed(returnAmount, config, carryForward[key]);
+  carryForward[key] = detail.lossCarryForward;
+  return detail;
+}
+
+/**
+ * Pay a dividend of up to `gross` out of the BV. Box 2 is withheld; returns
+ * what the owner receives.
+ */
+function payDividend(b, gross, config, holding) {
+  const paid = withdrawFromSleeves(b, gross);
+  const box2 = calcBox2Tax(paid, config, holding.dividends);
+  holding.dividends += paid;
+  holding.withheld += box2;
+  return paid - box2;
+}
+
+/**
+ * Close the BV's year: running costs and Vpb are paid from the balances, then
+ * the dividend payout (the whole profit for an FBI). The tax of the year also
+ * includes the box 2 withheld on withdrawals earlier in the year.
+ *
+ * @returns {Object} Vpb breakdown plus `costs`, `payout` (net received by the owner)
+ *   and box 2 as an extra bracket; `tax` is Vpb + box 2
+ */
+function settleHoldingYear(b, returnAmount, config, holding) {
+  const { costs: yearlyCosts = 2500, payoutRate = 0, fbi = false } = config;
+  const costs = Math.min(Math.max(0, Number(yearlyCosts) || 0), Math.max(0, netWealth(b)));
+  payFromSleeves(b, costs);
+
+  const detail = calcCorporateTaxDetailed(returnAmount - costs, config, holding.lossCarryForward);
+  holding.lossCarryForward = detail.lossCarryForward;
+  const vpb = Math.min(detail.tax, Math.max(0, netWealth(b)));
+  payFromSleeves(b, vpb);
+
+  const distributable = fbi
+    ? detail.grondslag
+    : Math.max(0, detail.grondslag - vpb) * (Math.max(0, Number(payoutRate) || 0) / 100);
+  const payout = distributable > 0 ? payDividend(b, distributable, config, holding) : 0;
+
+  return {
+    ...detail,
+    tax: vpb + holding.withheld,
+    costs,
+    payout,
+    brackets: [...detail.brackets, { label: 'Box 2 dividend', amount: holding.dividends, tax: holding.withheld }]
+  };
+}
+
+/**
+ * One year of the property: the WOZ value grows, the mortgage is repaid.
+ *
+ * @returns {Object} { growth, income (rent − costs − interest), interest, repayment,
+ *   cash (income − repayment) }
+ */
+function advanceProperty(b, property) {
+  const interest = b.mortgage * property.mortgageRate;
+  const repayment = Math.min(property.repayment, b.mortgage);
+  const growth = b.property * property.growth;
+  b.property += growth;
+  b.mortgage -= repayment;
+
+  const income = property.rent - property.costs - interest;
+  return { growth, income, interest, repayment, cash: income - repayment };
+}
+
+/**
+ * Close the actual return regime's year: scheduled sales are sold and bought
+ * back at once (a fund switch, so the value does not change), and in the last
+ * year everything is sold, the property included. The tax is paid by selling
+ * as well; the gain of that sale counts in the next year. Tax the sleeves can't
+ * cover is borrowed against the property.
+ *
+ * @param {number} gain - Gain realised by withdrawals and other sales this year
+ * @returns {Object} calcRealisedGainTaxDetailed breakdown plus `realisedGain`,
+ *   `costBasis` (of the lots held before the final sale) and `pendingGain`
+ */
+function settleRealisationYear(b, gain, year, isLastYear, lots, config, state) {
+  const { saleMode = 'withdrawals', salePercent = 0, saleAmounts = {} } = config;
+  const value = liquid(b);
+  let realised = gain;
+
+  let planned = 0;
+  if (saleMode === 'percent') planned = value * (Math.max(0, Number(salePercent) || 0) / 100);
+  if (saleMode === 'amounts') planned = Math.max(0, Number(saleAmounts?.[year]) || 0);
+  if (!isLastYear && planned > 0) {
+    const sale = sellLots(lots, planned, value);
+    realised += sale.gain;
+    realised += buyLot(lots, sale.proceeds, value - sale.proceeds);
+  }
+
+  const costBasis = lots.cost;
+  if (isLastYear) realised += sellLots(lots, value, value).gain;
+
+  const detail = calcRealisedGainTaxDetailed(realised, config, state);
+  const tax = Math.min(detail.tax, Math.max(0, netWealth(b)));
+  const pendingGain = isLastYear ? 0 : sellLots(lots, Math.min(tax, liquid(b)), liquid(b)).gain;
+  payOrBorrow(b, tax);
+
+  return { ...detail, tax, realisedGain: realised, costBasis, pendingGain };
+}
+
+/**
+ * Index of `year` in the pension payout period (0 = first payout), or null
+ * outside of it
+ */
+function payoutYear(payoutStart, config, year) {
+  const { payoutYears = 20 } = config;
+  if (payoutStart === null || year < payoutStart) return null;
+  const n = year - payoutStart;
+  return n < Math.max(1, payoutYears) ? n : null;
+}
+
+/**
+ * Close the pension's year: the payout of the year is taken — an equal share
+ * of what is left over the remaining payout years. The refund of the box 1
+ * deduction is paid out to the owner, not reinvested in the pot.
+ * `state.undeducted` is what is in the pot without a deduction (the start
+ * capital and deposits above the jaarruimte); it is paid out tax free first.
+ *
+ * @returns {Object} Breakdown with `refund` and `payout` (net received, refund
+ *   included); `tax` is the box 1 tax on the payout minus the refund
+ */
+function settlePensionYear(b, deposited, payoutIndex, config, state) {
+  const { payoutYears = 20 } = config;
+  const { deducted } = calcPensionTaxDetailed(deposited, 0, config);
+  state.undeducted += Math.max(0, deposited) - deducted;
+
+  const gross = payoutIndex === null
+    ? 0
+    : withdrawFromSleeves(b, Math.max(0, b.savings + b.invest) / (Math.max(1, payoutYears) - payoutIndex));
+  const detail = calcPensionTaxDetailed(deposited, gross, config, state.undeducted);
+  state.undeducted -= detail.taxFree;
+
+  return { ...detail, payout: gross - detail.tax };
+}
+
+/**
+ * Withdraw up to `amount` from the liquid sleeves (savings first).
+ * Returns the amount actually withdrawn.
+ */
+function withdrawFromSleeves(b, amount) {
+  const available = Math.max(0, b.savings) + Math.max(0, b.invest);
+  const taken = Math.min(amount, available);
+  payFromSleeves(b, taken);
+  return taken;
+}
+
+function payFromSleeves(b, amount) {
+  const fromSavings = Math.min(Math.max(0, b.savings), amount);
+  b.savings -= fromSavings;
+  b.invest -= amount - fromSavings;
+}
+
+/**
+ * Pay `amount` from the liquid sleeves; what they can't cover (wealth held in
+ * the property) becomes debt. Returns the amount paid from the sleeves.
+ */
+function payOrBorrow(b, amount) {
+  const paid = withdrawFromSleeves(b, amount);
+  b.debt += amount - paid;
+  return paid;
+}
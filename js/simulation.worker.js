@@ -0,0 +1,63 @@
+/**
+ * Simulation Worker
+ *
+ * Runs the calculations that take many simulation paths (Monte Carlo, rolling
+ * backtest, safe withdrawal rates, BV break-even) off the main thread. Message protocol:
+ *
+ *   in:  { type: 'run', id, task, args }
+ *   out: { type: 'progress', id, done, total }
+ *        { type: 'result', id, result }
+ *        { type: 'error', id, message }
+ *
+ * A task runs to completion once started; cancelling means terminating the
+ * worker (see simulationClient.js). Arguments are plain data, so everything
+ * that depends on the form is resolved on the main thread first.
+ */
+
+import { runMonteCarlo } from './monteCarlo.js';
+import { runRollingBacktest } from './backtest.js';
+import { findSafeWithdrawalRates } from './decumulation.js';
+import { findBreakEvenCapital } from './breakEven.js';
+
+const tasks = {
+  monteCarlo: ({ startCapital, sourceReturns, years, configs, contributionsByYear, options }, onProgress) =>
+    runMonteCarlo(startCapital, sourceReturns, years, configs, contributionsByYear, { ...options, onProgress }),
+
+  // Contributions and options are given per window start year
+  backtest: ({ startCapital, sourceReturns, configs, horizon, contributionsByStart, optionsByStart }) =>
+    runRollingBacktest(
+      startCapital,
+      sourceReturns,
+      configs,
+      horizon,
+      startYear => contributionsByStart[startYear],
+      startYear => optionsByStart[startYear]
+    ),
+
+  safeWithdrawalRates: ({ startCapital, returns, configs, contributionsByYear, options, params }, onProgress) =>
+    findSafeWithdrawalRates(startCapital, returns, configs, contributionsByYear, options, { ...params, onProgress }),
+
+  breakEven: ({ returns, configs, contributionsByYear, options, params }, onProgress) =>
+    findBreakEvenCapital(returns, configs, contributionsByYear, options, { ...params, onProgress })
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type !== 'run') return;
+  const { id, task, args } = data;
+
+  // Only whole percentages are posted, so thousands of paths don't flood the main thread
+  let lastPercent = -1;
+  const onProgress = (done, total) => {
+    const percent = Math.floor((done / total) * 100);
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+    self.postMessage({ type: 'progress', id, done, total });
+  };
+
+  try {
+    if (!tasks[task]) throw new Error(`Onbekende taak "${task}".`);
+    self.postMessage({ type: 'result', id, result: tasks[task](args, onProgress) });
+  } catch (err) {
+    self.postMessage({ type: 'error', id, message: err.message });
+  }
+};
@@ -0,0 +1,76 @@
+/**
+ * Simulation Client
+ *
+ * Main-thread side of simulation.worker.js: starts tasks, forwards progress
+ * and cancels everything in flight by terminating the worker (a new one is
+ * started for the next task).
+ */
+
+let worker = null;
+let nextId = 1;
+const pending = new Map();
+
+function cancelledError() {
+  const err = new Error('De berekening is geannuleerd.');
+  err.name = 'AbortError';
+  return err;
+}
+
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./simulation.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const task = pending.get(data.id);
+    if (!task) return;
+
+    if (data.type === 'progress') {
+      task.onProgress(data.done, data.total);
+      return;
+    }
+    pending.delete(data.id);
+    if (data.type === 'result') task.resolve(data.result);
+    else task.reject(new Error(data.message));
+  };
+  worker.onerror = event => {
+    event.preventDefault();
+    const err = new Error(event.message || 'De rekenworker is gestopt.');
+    pending.forEach(task => task.reject(err));
+    pending.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+}
+
+/**
+ * Run a task of simulation.worker.js
+ *
+ * @param {string} task - 'monteCarlo' | 'backtest' | 'safeWithdrawalRates' | 'breakEven'
+ * @param {Object} args - Plain data (structured-cloned to the worker)
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<*>} The task result; rejects with an AbortError when cancelled
+ */
+export function runTask(task, args, options = {}) {
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, onProgress: options.onProgress || (() => {}) });
+    getWorker().postMessage({ type: 'run', id, task, args });
+  });
+}
+
+/**
+ * Cancel every task in flight; their promises reject with an AbortError
+ */
+export function cancelTasks() {
+  if (pending.size === 0) return;
+  worker.terminate();
+  worker = null;
+  const err = cancelledError();
+  pending.forEach(task => task.reject(err));
+  pending.clear();
+}
+
+export function isCancelled(err) {
+  return err?.name === 'AbortError';
+}
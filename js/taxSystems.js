@@ -3,6 +3,12 @@
  *
  * Each calculation returns tax in EUR (>= 0).
  * The simulation supplies portfolioValue as the peildatum/base for that year.
+ *
+ * Every calcX has a calcXDetailed twin that returns the breakdown behind the
+ * number. Fields that don't apply to a regime are left out:
+ *   { tax, rate, exemption, grondslag, fictitiousReturn, actualReturn,
+ *     brackets: [{ label, amount, return, tax }], lossUsed, lossAdded,
+ *     lossCarryForward, counterEvidenceApplied }
  */
 
 function getPartnerMultiplier(config = {}) {
@@ -34,6 +40,10 @@ export function calcNoTax() {
   return 0;
 }
 
+export function calcNoTaxDetailed() {
+  return { tax: 0, rate: 0 };
+}
+
 /**
  * Old System (pre-2017)
  * - Fixed 4% deemed return
@@ -41,6 +51,10 @@ export function calcNoTax() {
  * - Single heffingsvrij vermogen setting
  */
 export function calcOldSystem(portfolioValue, actualReturn, config) {
+  return calcOldSystemDetailed(portfolioValue, actualReturn, config).tax;
+}
+
+export function calcOldSystemDetailed(portfolioValue, actualReturn, config) {
   const {
     deemedReturn = 4,  // %
     taxRate = 30,      // %
@@ -54,121 +68,216 @@ export function calcOldSystem(portfolioValue, actualReturn, config) {
   const deemedIncome = taxableWealth * (deemedReturn / 100);
   const tax = deemedIncome * (taxRate / 100);
 
-  return Math.max(0, tax);
+  return {
+    tax: Math.max(0, tax),
+    rate: taxRate,
+    exemption: effectiveExemption,
+    grondslag: taxableWealth,
+    fictitiousReturn: deemedIncome,
+    actualReturn
+  };
 }
 
 /**
- * Year-specific parameters for the 2017-2022 "oude methode"
- * Source: https://www.belastingdienst.nl/wps/wcm/connect/nl/box-3/content/oude-berekening-box-3-inkomen
+ * Year-specific parameters per regime.
+ * The simulation looks up the entry for each simulated year; years outside a
+ * table fall back to the nearest year that is covered. Values are per person.
+ *
+ * Sources:
+ * - old: Wet IB 2001, art. 5.2 / 5.5 (heffingsvrij vermogen per jaar)
+ * - oldMethod: https://www.belastingdienst.nl/wps/wcm/connect/nl/box-3/content/oude-berekening-box-3-inkomen
+ * - current: Wet overbruggingsregeling box 3 (2027 assumed equal to 2026 until published)
  */
-const oldMethodParams = {
-  2017: {
-    bracket1Limit: 75000,
-    bracket2Limit: 975000,
-    savingsRate: 1.63,
-    investRate: 5.39,
-    brackets: [
-      { savingsShare: 0.67, investShare: 0.33 },
-      { savingsShare: 0.21, investShare: 0.79 },
-      { savingsShare: 0.00, investShare: 1.00 }
-    ],
-    taxRate: 30,
-    exemption: 25000
+export const taxParamsByYear = {
+  old: {
+    2001: { deemedReturn: 4, taxRate: 30, exemption: 17600 },
+    2002: { deemedReturn: 4, taxRate: 30, exemption: 18800 },
+    2003: { deemedReturn: 4, taxRate: 30, exemption: 19252 },
+    2004: { deemedReturn: 4, taxRate: 30, exemption: 19522 },
+    2005: { deemedReturn: 4, taxRate: 30, exemption: 19698 },
+    2006: { deemedReturn: 4, taxRate: 30, exemption: 19972 },
+    2007: { deemedReturn: 4, taxRate: 30, exemption: 20014 },
+    2008: { deemedReturn: 4, taxRate: 30, exemption: 20315 },
+    2009: { deemedReturn: 4, taxRate: 30, exemption: 20661 },
+    2010: { deemedReturn: 4, taxRate: 30, exemption: 20785 },
+    2011: { deemedReturn: 4, taxRate: 30, exemption: 21139 },
+    2012: { deemedReturn: 4, taxRate: 30, exemption: 21139 },
+    2013: { deemedReturn: 4, taxRate: 30, exemption: 21139 },
+    2014: { deemedReturn: 4, taxRate: 30, exemption: 21139 },
+    2015: { deemedReturn: 4, taxRate: 30, exemption: 21330 },
+    2016: { deemedReturn: 4, taxRate: 30, exemption: 24437 }
   },
-  2018: {
-    bracket1Limit: 70801,
-    bracket2Limit: 978001,
-    savingsRate: 0.36,
-    investRate: 5.38,
-    brackets: [
-      { savingsShare: 0.67, investShare: 0.33 },
-      { savingsShare: 0.21, investShare: 0.79 },
-      { savingsShare: 0.00, investShare: 1.00 }
-    ],
-    taxRate: 30,
-    exemption: 30000
-  },
-  2019: {
-    bracket1Limit: 71651,
-    bracket2Limit: 989737,
-    savingsRate: 0.13,
-    investRate: 5.59,
-    brackets: [
-      { savingsShare: 0.67, investShare: 0.33 },
-      { savingsShare: 0.21, investShare: 0.79 },
-      { savingsShare: 0.00, investShare: 1.00 }
-    ],
-    taxRate: 30,
-    exemption: 30360
-  },
-  2020: {
-    bracket1Limit: 72798,
-    bracket2Limit: 1005573,
-    savingsRate: 0.07,
-    investRate: 5.28,
-    brackets: [
-      { savingsShare: 0.67, investShare: 0.33 },
-      { savingsShare: 0.21, investShare: 0.79 },
-      { savingsShare: 0.00, investShare: 1.00 }
-    ],
-    taxRate: 30,
-    exemption: 30846
-  },
-  2021: {
-    bracket1Limit: 50001,
-    bracket2Limit: 950001,
-    savingsRate: 0.03,
-    investRate: 5.69,
-    brackets: [
-      { savingsShare: 0.67, investShare: 0.33 },
-      { savingsShare: 0.21, investShare: 0.79 },
-      { savingsShare: 0.00, investShare: 1.00 }
-    ],
-    taxRate: 31,
-    exemption: 50000
+
+  oldMethod: {
+    2017: {
+      bracket1Limit: 75000,
+      bracket2Limit: 975000,
+      savingsRate: 1.63,
+      investRate: 5.39,
+      brackets: [
+        { savingsShare: 0.67, investShare: 0.33 },
+        { savingsShare: 0.21, investShare: 0.79 },
+        { savingsShare: 0.00, investShare: 1.00 }
+      ],
+      taxRate: 30,
+      exemption: 25000
+    },
+    2018: {
+      bracket1Limit: 70801,
+      bracket2Limit: 978001,
+      savingsRate: 0.36,
+      investRate: 5.38,
+      brackets: [
+        { savingsShare: 0.67, investShare: 0.33 },
+        { savingsShare: 0.21, investShare: 0.79 },
+        { savingsShare: 0.00, investShare: 1.00 }
+      ],
+      taxRate: 30,
+      exemption: 30000
+    },
+    2019: {
+      bracket1Limit: 71651,
+      bracket2Limit: 989737,
+      savingsRate: 0.13,
+      investRate: 5.59,
+      brackets: [
+        { savingsShare: 0.67, investShare: 0.33 },
+        { savingsShare: 0.21, investShare: 0.79 },
+        { savingsShare: 0.00, investShare: 1.00 }
+      ],
+      taxRate: 30,
+      exemption: 30360
+    },
+    2020: {
+      bracket1Limit: 72798,
+      bracket2Limit: 1005573,
+      savingsRate: 0.07,
+      investRate: 5.28,
+      brackets: [
+        { savingsShare: 0.67, investShare: 0.33 },
+        { savingsShare: 0.21, investShare: 0.79 },
+        { savingsShare: 0.00, investShare: 1.00 }
+      ],
+      taxRate: 30,
+      exemption: 30846
+    },
+    2021: {
+      bracket1Limit: 50001,
+      bracket2Limit: 950001,
+      savingsRate: 0.03,
+      investRate: 5.69,
+      brackets: [
+        { savingsShare: 0.67, investShare: 0.33 },
+        { savingsShare: 0.21, investShare: 0.79 },
+        { savingsShare: 0.00, investShare: 1.00 }
+      ],
+      taxRate: 31,
+      exemption: 50000
+    },
+    2022: {
+      bracket1Limit: 50651,
+      bracket2Limit: 962351,
+      savingsRate: -0.01,
+      investRate: 5.53,
+      brackets: [
+        { savingsShare: 0.67, investShare: 0.33 },
+        { savingsShare: 0.21, investShare: 0.79 },
+        { savingsShare: 0.00, investShare: 1.00 }
+      ],
+      taxRate: 31,
+      exemption: 50650
+    }
   },
-  2022: {
-    bracket1Limit: 50651,
-    bracket2Limit: 962351,
-    savingsRate: -0.01,
-    investRate: 5.53,
-    brackets: [
-      { savingsShare: 0.67, investShare: 0.33 },
-      { savingsShare: 0.21, investShare: 0.79 },
-      { savingsShare: 0.00, investShare: 1.00 }
-    ],
-    taxRate: 31,
-    exemption: 50650
+
+  current: {
+    2023: { taxRate: 32, exemption: 57000, debtThreshold: 3400, savingsRate: 0.36, investRate: 6.17, debtRate: 2.46 },
+    2024: { taxRate: 36, exemption: 57000, debtThreshold: 3700, savingsRate: 1.03, investRate: 6.04, debtRate: 2.47 },
+    2025: { taxRate: 36, exemption: 57684, debtThreshold: 3800, savingsRate: 1.44, investRate: 5.88, debtRate: 2.62 },
+    2026: { taxRate: 36, exemption: 59357, debtThreshold: 3800, savingsRate: 1.28, investRate: 6.00, debtRate: 2.70 },
+    2027: { taxRate: 36, exemption: 59357, debtThreshold: 3800, savingsRate: 1.28, investRate: 6.00, debtRate: 2.70 }
   }
 };
 
+/**
+ * Regime that was (or will be) in force per year under actual Dutch law
+ */
+export const regimeTimeline = [
+  { system: 'old', from: null, to: 2016 },
+  { system: 'oldMethod', from: 2017, to: 2022 },
+  { system: 'current', from: 2023, to: 2027 },
+  { system: 'future', from: 2028, to: null }
+];
+
+export function getRegimeForYear(year) {
+  const y = Number(year);
+  const period = regimeTimeline.find(p => (p.from == null || y >= p.from) && (p.to == null || y <= p.to));
+  return period ? period.system : 'future';
+}
+
+/**
+ * Parameters of a regime for a given year (nearest covered year if outside the table)
+ */
+export function getTaxParamsForYear(system, year) {
+  const table = taxParamsByYear[system];
+  if (!table) return {};
+
+  const years = Object.keys(table).map(Number).sort((a, b) => a - b);
+  if (years.length === 0) return {};
+
+  const y = Number(year);
+  const match = y <= years[0]
+    ? years[0]
+    : y >= years[years.length - 1]
+      ? years[years.length - 1]
+      : years.filter(k => k <= y).pop();
+  return { ...table[match] };
+}
+
+/**
+ * Effective config for one simulated year: the year table, with every value
+ * the user actually set on top. `paramYear` pins the table to a fixed year.
+ */
+export function resolveYearConfig(system, year, config = {}) {
+  if (!taxParamsByYear[system]) return config;
+
+  const params = getTaxParamsForYear(system, config.paramYear ?? year);
+  const overrides = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (value === undefined || value === null || Number.isNaN(value)) continue;
+    overrides[key] = value;
+  }
+  return { ...params, ...overrides };
+}
+
 /**
  * Old Method System (2017-2022)
  * - 3 brackets with fictitious savings/investment mix
- * - Parameters come from config (user-editable), not year lookup
+ * - Parameters come from config; the simulation fills it per year via resolveYearConfig
  */
 export function calcOldMethodSystem(portfolioValue, actualReturn, config) {
+  return calcOldMethodSystemDetailed(portfolioValue, actualReturn, config).tax;
+}
+
+export function calcOldMethodSystemDetailed(portfolioValue, actualReturn, config) {
   const {
     taxRate = 31,
     exemption = 50650,
     savingsRate = -0.01,
     investRate = 5.53,
     bracket1Limit = 50651,
-    bracket2Limit = 962351
+    bracket2Limit = 962351,
+    // Bracket mix ratios (67/33, 21/79, 0/100)
+    brackets = [
+      { savingsShare: 0.67, investShare: 0.33 },
+      { savingsShare: 0.21, investShare: 0.79 },
+      { savingsShare: 0.00, investShare: 1.00 }
+    ]
   } = config;
 
-  // Fixed bracket mix ratios (67/33, 21/79, 0/100)
-  const brackets = [
-    { savingsShare: 0.67, investShare: 0.33 },
-    { savingsShare: 0.21, investShare: 0.79 },
-    { savingsShare: 0.00, investShare: 1.00 }
-  ];
-
   const partnerMultiplier = getPartnerMultiplier(config);
   const effectiveExemption = exemption * partnerMultiplier;
 
   const grondslag = Math.max(0, portfolioValue - effectiveExemption);
-  if (grondslag <= 0) return 0;
 
   // Distribute grondslag over 3 brackets
   const bracket1Amount = Math.min(grondslag, bracket1Limit);
@@ -177,23 +286,31 @@ export function calcOldMethodSystem(portfolioValue, actualReturn, config) {
 
   // Calculate fictitious return per bracket
   let totalFictitiousReturn = 0;
+  const bracketDetails = [];
 
   const bracketAmounts = [bracket1Amount, bracket2Amount, bracket3Amount];
   for (let i = 0; i < 3; i++) {
     const amount = bracketAmounts[i];
-    if (amount <= 0) continue;
     const b = brackets[i];
-    const fictitiousReturn = amount * (
+    const fictitiousReturn = amount <= 0 ? 0 : amount * (
       b.savingsShare * (savingsRate / 100) +
       b.investShare * (investRate / 100)
     );
     totalFictitiousReturn += fictitiousReturn;
+    bracketDetails.push({ label: `Schijf ${i + 1}`, amount, return: fictitiousReturn });
   }
 
-  if (totalFictitiousReturn <= 0) return 0;
+  const tax = totalFictitiousReturn <= 0 ? 0 : totalFictitiousReturn * (taxRate / 100);
 
-  const tax = totalFictitiousReturn * (taxRate / 100);
-  return Math.max(0, tax);
+  return {
+    tax: Math.max(0, tax),
+    rate: taxRate,
+    exemption: effectiveExemption,
+    grondslag,
+    fictitiousReturn: totalFictitiousReturn,
+    actualReturn,
+    brackets: bracketDetails
+  };
 }
 
 /**
@@ -201,8 +318,23 @@ export function calcOldMethodSystem(portfolioValue, actualReturn, config) {
  * - Fictitious return by category (savings, investments, debts)
  * - Debt threshold and heffingsvrij vermogen included
  * - Fiscal partner doubles relevant thresholds
+ *
+ * When `balances` ({ savings, invest, debt }) is given, the real category
+ * balances are used; otherwise portfolioValue is split by the alloc* shares.
  */
-export function calcCurrentSystem(portfolioValue, actualReturn, config) {
+export function calcCurrentSystem(portfolioValue, actualReturn, config, balances = null) {
+  return calcCurrentSystemDetailed(portfolioValue, actualReturn, config, balances).tax;
+}
+
+/**
+ * Current system with the intermediate figures.
+ *
+ * With `counterEvidence` (tegenbewijsregeling) the actual return replaces the
+ * deemed voordeel when it is lower: tax = rate × max(0, min(deemed, actual)).
+ * The actual return gets no heffingsvrij vermogen, as under the law.
+ * `brackets` lists the categories (savings, investments, deductible debt).
+ */
+export function calcCurrentSystemDetailed(portfolioValue, actualReturn, config, balances = null) {
   const {
     taxRate = 36,            // %
     exemption = 59357,       // € per person
@@ -212,46 +344,102 @@ export function calcCurrentSystem(portfolioValue, actualReturn, config) {
     debtRate = 2.70,         // %
     allocSavings = 0,        // %
     allocInvest = 100,       // %
-    allocDebt = 0            // %
+    allocDebt = 0,           // %
+    counterEvidence = false
   } = config;
 
-  const totalWealth = Math.max(0, portfolioValue);
-  if (totalWealth <= 0) return 0;
+  const deemed = currentDeemedIncome(portfolioValue, config, balances, {
+    exemption, debtThreshold, savingsRate, investRate, debtRate, allocSavings, allocInvest, allocDebt
+  });
+  const deemedIncome = deemed.voordeel;
+  const actualIncome = Number(actualReturn) || 0;
+  // Only counts as applied when it actually lowers the taxable income
+  const counterEvidenceApplied = Boolean(counterEvidence) && deemedIncome > 0 && actualIncome < deemedIncome;
+  const taxableIncome = counterEvidenceApplied ? actualIncome : deemedIncome;
+  const tax = Math.max(0, taxableIncome) * (taxRate / 100);
 
-  const partnerMultiplier = getPartnerMultiplier(config);
-  const effectiveExemption = exemption * partnerMultiplier;
-  const effectiveDebtThreshold = debtThreshold * partnerMultiplier;
+  return {
+    tax,
+    rate: taxRate,
+    exemption: deemed.exemption,
+    grondslag: deemed.grondslag,
+    fictitiousReturn: deemedIncome,
+    actualReturn: actualIncome,
+    brackets: deemed.categories,
+    counterEvidenceApplied
+  };
+}
 
-  const { savingsShare, investShare, debtShare } = normalizeAllocations(
+/**
+ * Voordeel uit sparen en beleggen (deemed income after heffingsvrij vermogen)
+ * with the grondslag and per-category deemed returns behind it
+ */
+function currentDeemedIncome(portfolioValue, config, balances, params) {
+  const {
+    exemption,
+    debtThreshold,
+    savingsRate,
+    investRate,
+    debtRate,
     allocSavings,
     allocInvest,
     allocDebt
-  );
+  } = params;
+
+  const partnerMultiplier = getPartnerMultiplier(config);
+  const effectiveExemption = exemption * partnerMultiplier;
+  const effectiveDebtThreshold = debtThreshold * partnerMultiplier;
+  const empty = { voordeel: 0, grondslag: 0, exemption: effectiveExemption, categories: [] };
+
+  let savingsPortion;
+  let investPortion;
+  let debtPortion;
+  // Property is an "overige bezitting" at the beleggingen rate; its mortgage is a debt
+  let propertyPortion = 0;
+
+  if (balances) {
+    savingsPortion = Math.max(0, balances.savings);
+    investPortion = Math.max(0, balances.invest);
+    propertyPortion = Math.max(0, balances.property || 0);
+    debtPortion = Math.max(0, balances.debt) + Math.max(0, balances.mortgage || 0);
+  } else {
+    const totalWealth = Math.max(0, portfolioValue);
+    if (totalWealth <= 0) return empty;
 
-  if (savingsShare === 0 && investShare === 0 && debtShare === 0) return 0;
+    const { savingsShare, investShare, debtShare } = normalizeAllocations(
+      allocSavings,
+      allocInvest,
+      allocDebt
+    );
 
-  const savingsPortion = totalWealth * savingsShare;
-  const investPortion = totalWealth * investShare;
-  const debtPortion = totalWealth * debtShare;
-  const deductibleDebt = Math.max(0, debtPortion - effectiveDebtThreshold);
+    if (savingsShare === 0 && investShare === 0 && debtShare === 0) return empty;
 
-  const belastbaarRendement =
-    savingsPortion * (savingsRate / 100) +
-    investPortion * (investRate / 100) -
-    deductibleDebt * (debtRate / 100);
-  if (belastbaarRendement <= 0) return 0;
+    savingsPortion = totalWealth * savingsShare;
+    investPortion = totalWealth * investShare;
+    debtPortion = totalWealth * debtShare;
+  }
 
-  const rendementsgrondslag = savingsPortion + investPortion - deductibleDebt;
-  if (rendementsgrondslag <= 0) return 0;
+  const deductibleDebt = Math.max(0, debtPortion - effectiveDebtThreshold);
+  const categories = [
+    { label: 'Spaargeld', amount: savingsPortion, return: savingsPortion * (savingsRate / 100) },
+    { label: 'Beleggingen', amount: investPortion, return: investPortion * (investRate / 100) },
+    ...(propertyPortion > 0
+      ? [{ label: 'Overige bezittingen (woning)', amount: propertyPortion, return: propertyPortion * (investRate / 100) }]
+      : []),
+    { label: 'Schulden', amount: -deductibleDebt, return: -deductibleDebt * (debtRate / 100) }
+  ];
 
+  const belastbaarRendement = categories.reduce((sum, c) => sum + c.return, 0);
+  const rendementsgrondslag = savingsPortion + investPortion + propertyPortion - deductibleDebt;
   const grondslagSparenBeleggen = Math.max(0, rendementsgrondslag - effectiveExemption);
-  if (grondslagSparenBeleggen <= 0) return 0;
+  const result = { ...empty, grondslag: grondslagSparenBeleggen, categories };
 
-  const aandeelInRendementsgrondslag = Math.min(1, grondslagSparenBeleggen / rendementsgrondslag);
-  const voordeelUitSparenBeleggen = belastbaarRendement * aandeelInRendementsgrondslag;
-  const tax = voordeelUitSparenBeleggen * (taxRate / 100);
+  if (belastbaarRendement <= 0) return result;
+  if (rendementsgrondslag <= 0) return result;
+  if (grondslagSparenBeleggen <= 0) return result;
 
-  return Math.max(0, tax);
+  const aandeelInRendementsgrondslag = Math.min(1, grondslagSparenBeleggen / rendementsgrondslag);
+  return { ...result, voordeel: belastbaarRendement * aandeelInRendementsgrondslag };
 }
 
 /**
@@ -282,6 +470,103 @@ export function calcFutureSystem(portfolioValue, taxableIncome, config) {
   return Math.max(0, tax);
 }
 
+/**
+ * Future system for one year including loss set-off.
+ * Losses above the verliesdrempel are added to the carry-forward; positive
+ * income after the heffingsvrij resultaat is first reduced by it.
+ *
+ * @param {number} actualReturn - Return of the year (excluding cash flows)
+ * @param {Object} config
+ * @param {number} carryForward - Loss carry-forward at the start of the year
+ * @returns {Object} Breakdown; `lossCarryForward` is the balance after this year
+ */
+export function calcFutureSystemDetailed(actualReturn, config, carryForward = 0) {
+  const {
+    taxRate = 36,       // %
+    freeReturn = 1800,  // € per person
+    lossThreshold = 500 // € per person
+  } = config;
+
+  const partnerMultiplier = getPartnerMultiplier(config);
+  const threshold = Number(lossThreshold);
+  const effectiveThreshold = (Number.isFinite(threshold) ? Math.max(0, threshold) : 500) * partnerMultiplier;
+  const incomeBeforeLossSetoff = calcFutureIncome(actualReturn, config);
+
+  const detail = {
+    tax: 0,
+    rate: taxRate,
+    exemption: actualReturn > 0 ? Math.min(actualReturn, freeReturn * partnerMultiplier) : 0,
+    grondslag: 0,
+    actualReturn,
+    lossUsed: 0,
+    lossAdded: 0,
+    lossCarryForward: carryForward
+  };
+
+  if (incomeBeforeLossSetoff < 0) {
+    const recognisedLoss = Math.abs(incomeBeforeLossSetoff);
+    if (recognisedLoss > effectiveThreshold) {
+      detail.lossAdded = recognisedLoss;
+      detail.lossCarryForward = carryForward + recognisedLoss;
+    }
+    return detail;
+  }
+  if (incomeBeforeLossSetoff === 0) return detail;
+
+  const lossUsed = Math.min(carryForward, incomeBeforeLossSetoff);
+  const taxableIncome = incomeBeforeLossSetoff - lossUsed;
+
+  return {
+    ...detail,
+    tax: calcFutureSystem(null, taxableIncome, config),
+    grondslag: taxableIncome,
+    lossUsed,
+    lossCarryForward: carryForward - lossUsed
+  };
+}
+
+/**
+ * Asset classes of the 2028 proposal (Wet werkelijk rendement box 3)
+ */
+export const assetClassLabels = {
+  liquid: 'Liquide (vermogensaanwas)',
+  realEstate: 'Vastgoed (huur + bij verkoop)',
+  startup: 'Startup-aandelen (bij verkoop)'
+};
+
+/**
+ * Income of one holding under the 2028 proposal
+ * - liquid: the full yearly return, unrealised gains included
+ * - realEstate: current income (rent minus costs) every year, value changes only when realised
+ * - startup: value changes only when realised
+ *
+ * @param {Object} holding - { assetClass, return, income, realisedGain }
+ */
+export function calcFutureClassIncome(holding) {
+  const { assetClass = 'liquid', return: yearReturn = 0, income = 0, realisedGain = 0 } = holding;
+  return assetClass === 'realEstate' || assetClass === 'startup' ? income + realisedGain : yearReturn;
+}
+
+/**
+ * Future system with holdings of different asset classes. Each class is
+ * measured on its own; the heffingsvrij resultaat, verliesdrempel and loss
+ * carry-forward apply to the total, as in calcFutureSystemDetailed.
+ *
+ * @param {Array<Object>} holdings - { assetClass, label, value, return, income, realisedGain }
+ * @param {Object} config
+ * @param {number} carryForward - Loss carry-forward at the start of the year
+ * @returns {Object} Breakdown with one bracket per holding (value and measured income)
+ */
+export function calcFutureSystemByClassDetailed(holdings, config, carryForward = 0) {
+  const brackets = holdings.map(holding => ({
+    label: holding.label || assetClassLabels[holding.assetClass] || assetClassLabels.liquid,
+    amount: holding.value || 0,
+    return: calcFutureClassIncome(holding)
+  }));
+  const income = brackets.reduce((sum, b) => sum + b.return, 0);
+  return { ...calcFutureSystemDetailed(income, config, carryForward), brackets };
+}
+
 /**
  * Actual Return Example System ("Werkelijk Rendement Voorbeeld")
  * - Tax is only levied at the moment of sale (realized gains)
@@ -290,10 +575,14 @@ export function calcFutureSystem(portfolioValue, taxableIncome, config) {
  *   • bracket1Rate% on gains up to bracket1Limit
  *   • bracket2Rate% on gains above bracket1Limit
  *
- * @param {number} totalGain - Total realized gain (endValue - costBasis)
+ * @param {number} totalGain - Realized gain (sale proceeds - cost basis of what was sold)
  * @param {Object} config
  */
 export function calcActualReturnSystem(totalGain, config) {
+  return calcActualReturnSystemDetailed(totalGain, config).tax;
+}
+
+export function calcActualReturnSystemDetailed(totalGain, config) {
   const {
     exemption = 100000,
     bracket1Limit = 1000000,
@@ -301,23 +590,188 @@ export function calcActualReturnSystem(totalGain, config) {
     bracket2Rate = 40
   } = config;
 
-  if (totalGain <= 0) return 0;
-
   const partnerMultiplier = getPartnerMultiplier(config);
   const effectiveExemption = exemption * partnerMultiplier;
 
   const taxableGain = Math.max(0, totalGain - effectiveExemption);
-  if (taxableGain <= 0) return 0;
+  const bracket1Amount = Math.min(taxableGain, bracket1Limit);
+  const bracket2Amount = Math.max(0, taxableGain - bracket1Limit);
+  const brackets = [
+    { label: `Schijf 1 (${bracket1Rate}%)`, amount: bracket1Amount, tax: bracket1Amount * (bracket1Rate / 100) },
+    { label: `Schijf 2 (${bracket2Rate}%)`, amount: bracket2Amount, tax: bracket2Amount * (bracket2Rate / 100) }
+  ];
+  const tax = totalGain <= 0 ? 0 : brackets[0].tax + brackets[1].tax;
 
-  let tax = 0;
-  if (taxableGain > bracket1Limit) {
-    tax += bracket1Limit * (bracket1Rate / 100);
-    tax += (taxableGain - bracket1Limit) * (bracket2Rate / 100);
-  } else {
-    tax += taxableGain * (bracket1Rate / 100);
+  return {
+    tax: Math.max(0, tax),
+    rate: taxableGain > 0 ? (tax / taxableGain) * 100 : bracket1Rate,
+    exemption: Math.min(Math.max(0, totalGain), effectiveExemption),
+    grondslag: taxableGain,
+    actualReturn: totalGain,
+    brackets
+  };
+}
+
+/**
+ * Tax on the gains realised in one year under the actual return system.
+ * - exemptionPeriod 'lifetime': the exemption and bracket limit cover all
+ *   realised gains together; the tax is what the cumulative gain owes minus
+ *   what was paid before, so losses are set off against earlier and later gains
+ * - exemptionPeriod 'year': the exemption and bracket limit apply to each
+ *   year's gain; a realised loss is carried forward to later years
+ *
+ * @param {number} gain - Gain realised this year (negative for a loss)
+ * @param {Object} config
+ * @param {Object} state - { realised, taxPaid, lossCarryForward }; updated in place
+ */
+export function calcRealisedGainTaxDetailed(gain, config, state) {
+  if (config.exemptionPeriod === 'year') {
+    const carryForward = state.lossCarryForward;
+    if (gain <= carryForward) {
+      state.lossCarryForward = carryForward - gain;
+      return {
+        ...calcActualReturnSystemDetailed(0, config),
+        actualReturn: gain,
+        lossUsed: Math.max(0, Math.min(gain, carryForward)),
+        lossAdded: Math.max(0, -gain),
+        lossCarryForward: state.lossCarryForward
+      };
+    }
+    state.lossCarryForward = 0;
+    return {
+      ...calcActualReturnSystemDetailed(gain - carryForward, config),
+      actualReturn: gain,
+      lossUsed: carryForward,
+      lossAdded: 0,
+      lossCarryForward: 0
+    };
   }
 
-  return Math.max(0, tax);
+  state.realised += gain;
+  const detail = calcActualReturnSystemDetailed(state.realised, config);
+  const tax = Math.max(0, detail.tax - state.taxPaid);
+  state.taxPaid += tax;
+  return { ...detail, tax, actualReturn: gain, cumulativeGain: state.realised };
+}
+
+/**
+ * Holding BV (box 2 comparison, not a Box 3 regime)
+ * - Vennootschapsbelasting on the BV's yearly return (market value) after running
+ *   costs, in two brackets; losses are carried forward
+ * - As a fiscale beleggingsinstelling (FBI) the rate is 0%, but the profit has to
+ *   be distributed every year
+ * - Box 2 on every dividend: 2 brackets per calendar year, the bracket limit
+ *   doubles with a fiscal partner (shares held by both)
+ */
+export function calcCorporateTaxDetailed(profit, config, carryForward = 0) {
+  const {
+    vpbRate1 = 19,        // %
+    vpbBracket = 200000,  // €
+    vpbRate2 = 25.8,      // %
+    fbi = false
+  } = config;
+
+  const detail = {
+    tax: 0,
+    rate: fbi ? 0 : vpbRate1,
+    grondslag: 0,
+    actualReturn: profit,
+    brackets: [],
+    lossUsed: 0,
+    lossAdded: 0,
+    lossCarryForward: carryForward
+  };
+
+  if (profit < 0) {
+    detail.lossAdded = -profit;
+    detail.lossCarryForward = carryForward - profit;
+    return detail;
+  }
+
+  const lossUsed = Math.min(carryForward, profit);
+  const taxable = profit - lossUsed;
+  const bracket1Amount = Math.min(taxable, vpbBracket);
+  const bracket2Amount = Math.max(0, taxable - vpbBracket);
+  const brackets = fbi
+    ? [{ label: 'Vpb FBI (0%)', amount: taxable, tax: 0 }]
+    : [
+      { label: `Vpb schijf 1 (${vpbRate1}%)`, amount: bracket1Amount, tax: bracket1Amount * (vpbRate1 / 100) },
+      { label: `Vpb schijf 2 (${vpbRate2}%)`, amount: bracket2Amount, tax: bracket2Amount * (vpbRate2 / 100) }
+    ];
+  const tax = brackets.reduce((sum, b) => sum + b.tax, 0);
+
+  return {
+    ...detail,
+    tax,
+    rate: taxable > 0 ? (tax / taxable) * 100 : detail.rate,
+    grondslag: taxable,
+    brackets,
+    lossUsed,
+    lossCarryForward: carryForward - lossUsed
+  };
+}
+
+function box2Bracket(config) {
+  const { box2Bracket: limit = 67804 } = config;
+  return limit * getPartnerMultiplier(config);
+}
+
+/**
+ * Box 2 tax on a dividend, given the dividends already received this calendar year
+ * @returns {number} Tax in EUR
+ */
+export function calcBox2Tax(dividend, config, receivedThisYear = 0) {
+  const { box2Rate1 = 24.5, box2Rate2 = 31 } = config;
+  const room = Math.max(0, box2Bracket(config) - receivedThisYear);
+  const inBracket1 = Math.min(Math.max(0, dividend), room);
+  const inBracket2 = Math.max(0, dividend - inBracket1);
+  return inBracket1 * (box2Rate1 / 100) + inBracket2 * (box2Rate2 / 100);
+}
+
+/**
+ * Gross dividend that leaves `net` after box 2 (inverse of calcBox2Tax)
+ */
+export function grossUpDividend(net, config, receivedThisYear = 0) {
+  const { box2Rate1 = 24.5, box2Rate2 = 31 } = config;
+  const room = Math.max(0, box2Bracket(config) - receivedThisYear);
+  const netInBracket1 = room * (1 - box2Rate1 / 100);
+  if (net <= netInBracket1) return net / (1 - box2Rate1 / 100);
+  return room + (net - netInBracket1) / (1 - box2Rate2 / 100);
+}
+
+/**
+ * Lijfrente / extra pension (Box 1 comparison, not a Box 3 regime)
+ * - Deposits are deductible in Box 1 at the deduction rate, up to maxDeduction per year
+ *   (the jaarruimte); the refund counts as negative tax
+ * - Growth inside the pot is untaxed
+ * - Payouts are taxed in Box 1 at the retirement rate (income after AOW age); money in
+ *   the pot that was never deducted comes back tax free first
+ *
+ * @param {number} deposited - Deposits of the year
+ * @param {number} payout - Gross payout of the year
+ * @param {number} undeducted - Money in the pot that was not deducted and hasn't been paid out yet
+ */
+export function calcPensionTaxDetailed(deposited, payout, config, undeducted = 0) {
+  const { deductionRate = 37.48, retirementRate = 17.92, maxDeduction = 35589 } = config;
+  const deducted = Math.min(Math.max(0, deposited), Math.max(0, Number(maxDeduction) || 0));
+  const refund = deducted * (deductionRate / 100);
+  const taxFree = Math.min(Math.max(0, payout), Math.max(0, undeducted));
+  const payoutTax = (Math.max(0, payout) - taxFree) * (retirementRate / 100);
+
+  const brackets = [];
+  if (deducted > 0) brackets.push({ label: `Aftrek box 1 (${deductionRate}%)`, amount: deducted, tax: -refund });
+  if (deposited > deducted) brackets.push({ label: 'Niet aftrekbaar (boven jaarruimte)', amount: deposited - deducted, tax: 0 });
+  if (taxFree > 0) brackets.push({ label: 'Uitkering niet-afgetrokken inleg', amount: taxFree, tax: 0 });
+  if (payout > taxFree) brackets.push({ label: `Uitkering box 1 (${retirementRate}%)`, amount: payout - taxFree, tax: payoutTax });
+
+  return {
+    tax: payoutTax - refund,
+    refund,
+    deducted,
+    taxFree,
+    grondslag: Math.max(0, payout) - taxFree,
+    brackets
+  };
 }
 
 /**
@@ -326,31 +780,15 @@ export function calcActualReturnSystem(totalGain, config) {
 export function getDefaultConfigs() {
   return {
     noTax: {},
+    // Year-indexed regimes: only overrides live here, the rest comes from taxParamsByYear
     old: {
-      deemedReturn: 4,
-      taxRate: 30,
-      exemption: 21139,
       partnerMultiplier: 1
     },
     oldMethod: {
-      taxRate: 31,
-      exemption: 50650,
-      savingsRate: -0.01,
-      investRate: 5.53,
-      bracket1Limit: 50651,
-      bracket2Limit: 962351,
       partnerMultiplier: 1
     },
     current: {
-      taxRate: 36,
-      exemption: 59357,
-      debtThreshold: 3800,
-      savingsRate: 1.28,
-      investRate: 6.00,
-      debtRate: 2.70,
-      allocSavings: 0,
-      allocInvest: 100,
-      allocDebt: 0,
+      counterEvidence: false,
       partnerMultiplier: 1
     },
     future: {
@@ -359,12 +797,48 @@ export function getDefaultConfigs() {
       lossThreshold: 500,
       partnerMultiplier: 1
     },
+    // Chains old → oldMethod → current → future using the statutory year tables
+    dutchLaw: {
+      counterEvidence: false,
+      partnerMultiplier: 1
+    },
+    // Sales: 'withdrawals' only sells to pay withdrawals; 'percent' (salePercent of the
+    // holding) and 'amounts' ({ year: € }) also sell and rebuy at the end of the year
     actualReturn: {
       exemption: 100000,
       bracket1Limit: 1000000,
       bracket1Rate: 25,
       bracket2Rate: 40,
+      exemptionPeriod: 'lifetime',
+      lotMethod: 'fifo',
+      saleMode: 'withdrawals',
+      salePercent: 0,
+      saleAmounts: {},
       partnerMultiplier: 1
+    },
+    // Rates of 2025; costs in € per year, payoutRate in % of the profit after Vpb
+    bv: {
+      vpbRate1: 19,
+      vpbBracket: 200000,
+      vpbRate2: 25.8,
+      fbi: false,
+      box2Rate1: 24.5,
+      box2Bracket: 67804,
+      box2Rate2: 31,
+      costs: 2500,
+      payoutRate: 0,
+      liquidate: true,
+      partnerMultiplier: 1
+    },
+    // Box 1 rates of 2025 (schijf 2, and schijf 1 after AOW age); payoutStart null
+    // follows the start of the withdrawals, or pays out after the last year;
+    // maxDeduction is the jaarruimte in € per year (the maximum of 2025)
+    pension: {
+      deductionRate: 37.48,
+      retirementRate: 17.92,
+      payoutYears: 20,
+      payoutStart: null,
+      maxDeduction: 35589
     }
   };
 }
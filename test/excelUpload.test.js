@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReturnRows } from '../js/excelUpload.js';
+
+const rows = returns => Object.entries(returns).map(([Year, Return]) => ({ Year, Return }));
+
+describe('parseReturnRows', () => {
+  it('reads a column of percentages as is, small values included', () => {
+    assert.deepEqual(parseReturnRows(rows({ 2020: 0.5, 2021: 12, 2022: -0.3 })), { 2020: 0.5, 2021: 12, 2022: -0.3 });
+  });
+
+  it('converts a column of decimals to percentages', () => {
+    const returns = parseReturnRows(rows({ 2020: 0.05, 2021: 0.12, 2022: -0.3 }));
+    assert.deepEqual(Object.values(returns).map(r => Math.round(r * 100) / 100), [5, 12, -30]);
+  });
+
+  it('follows an explicit unit', () => {
+    assert.deepEqual(parseReturnRows(rows({ 2020: 0.5, 2021: -0.3 }), { unit: 'percent' }), { 2020: 0.5, 2021: -0.3 });
+    assert.deepEqual(parseReturnRows(rows({ 2020: 1.5 }), { unit: 'decimal' }), { 2020: 150 });
+    assert.throws(() => parseReturnRows(rows({ 2020: 1 }), { unit: 'promille' }), /Onbekende eenheid/);
+  });
+
+  it('finds Dutch column names and skips unusable rows', () => {
+    const returns = parseReturnRows([{ Jaar: 2020, Rendement: 8 }, { Jaar: 'totaal', Rendement: 8 }, { Jaar: 2021, Rendement: '' }]);
+    assert.deepEqual(returns, { 2020: 8 });
+  });
+
+  it('rejects a sheet without Year and Return columns', () => {
+    assert.throws(() => parseReturnRows([]), /leeg/);
+    assert.throws(() => parseReturnRows([{ a: 1, b: 2 }]), /Kolommen niet gevonden/);
+  });
+});
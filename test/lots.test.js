@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLedger, buyLot, sellLots } from '../js/lots.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+// Buys 100 at price 1 and 100 at price 2; the holding is then worth 300
+function twoLots(method) {
+  const ledger = createLedger(method);
+  buyLot(ledger, 100, 0);
+  buyLot(ledger, 100, 200);
+  return ledger;
+}
+
+describe('lots', () => {
+  it('buys units at the current price', () => {
+    const ledger = twoLots('fifo');
+    assert.equal(ledger.lots.length, 2);
+    close(ledger.units, 150);
+    close(ledger.cost, 200);
+  });
+
+  it('sells the oldest lot first with fifo', () => {
+    const ledger = twoLots('fifo');
+    const sale = sellLots(ledger, 150, 300);
+    close(sale.cost, 75);
+    close(sale.gain, 75);
+    close(ledger.cost, 125);
+  });
+
+  it('sells at the average cost with average', () => {
+    const ledger = twoLots('average');
+    const sale = sellLots(ledger, 150, 300);
+    close(sale.cost, 100);
+    close(sale.gain, 50);
+    close(ledger.cost, 100);
+  });
+
+  it('never sells more than the holding is worth', () => {
+    const ledger = twoLots('fifo');
+    const sale = sellLots(ledger, 500, 300);
+    assert.equal(sale.proceeds, 300);
+    close(sale.gain, 100);
+    assert.equal(ledger.lots.length, 0);
+  });
+
+  it('closes the lots of a worthless holding as a loss', () => {
+    const ledger = twoLots('fifo');
+    close(buyLot(ledger, 50, 0), -200);
+    assert.equal(ledger.lots.length, 1);
+    close(ledger.cost, 50);
+  });
+
+  it('ignores empty purchases and sales', () => {
+    const ledger = twoLots('fifo');
+    assert.equal(buyLot(ledger, 0, 300), 0);
+    assert.deepEqual(sellLots(ledger, 0, 300), { proceeds: 0, cost: 0, gain: 0 });
+    assert.deepEqual(sellLots(createLedger(), 100, 100), { proceeds: 0, cost: 0, gain: 0 });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeScenario, runScenario } from '../js/scenario.js';
+import { systemLabels } from '../js/simulation.js';
+
+describe('normalizeScenario', () => {
+  it('fills in the defaults', () => {
+    const scenario = normalizeScenario({});
+    assert.equal(scenario.name, 'Scenario');
+    assert.equal(scenario.startCapital, 150000);
+    assert.equal(scenario.monthlyContribution, 0);
+    assert.equal(scenario.source.index, 'sp500');
+    assert.equal(scenario.startYear, 2015);
+    assert.equal(scenario.valueMode, 'nominal');
+    assert.deepEqual(scenario.systems, Object.keys(systemLabels));
+  });
+
+  it('turns inline returns into a custom series', () => {
+    const scenario = normalizeScenario({ returns: { 2020: 5, 2021: -3 } });
+    assert.equal(scenario.source.index, 'custom:eigen-data');
+    assert.equal(scenario.startYear, 2020);
+    assert.equal(scenario.endYear, 2021);
+  });
+
+  it('does not allow negative contributions', () => {
+    assert.equal(normalizeScenario({ monthlyContribution: -500 }).monthlyContribution, 0);
+  });
+
+  it('rejects invalid scenarios with a readable message', () => {
+    assert.throws(() => normalizeScenario(null), /moet een object zijn/);
+    assert.throws(() => normalizeScenario([]), /moet een object zijn/);
+    assert.throws(() => normalizeScenario({ systems: ['box4'] }), /Onbekend systeem in "systems": box4/);
+    assert.throws(() => normalizeScenario({ startYear: 1800 }), /valt buiten de beschikbare jaren/);
+    assert.throws(() => normalizeScenario({ index: 'nope' }), /Onbekende reeks/);
+    assert.throws(() => normalizeScenario({ startCapital: 'abc' }), /"startCapital" moet een getal zijn/);
+    assert.throws(() => normalizeScenario({ valueMode: 'x' }), /"valueMode" moet een van/);
+  });
+});
+
+describe('runScenario', () => {
+  const cases = {
+    'start capital only': { index: 'sp500', startYear: 2015, endYear: 2024 },
+    'monthly contributions': { index: 'sp500', startYear: 2000, endYear: 2012, monthlyContribution: 500 },
+    'partner and contributions': { index: 'aex', startYear: 2007, endYear: 2024, monthlyContribution: 1000, partner: true },
+    'percentage withdrawals': { index: 'allworld', startYear: 2015, endYear: 2024, withdrawals: { mode: 'percent', startYear: 2020, percent: 4 } },
+    'a deposit event': { index: 'sp500', startYear: 2015, endYear: 2024, events: [{ label: 'Erfenis', amount: 50000, year: 2018 }] },
+    'a rented property': { index: 'sp500', startYear: 2015, endYear: 2024, property: { value: 300000, rent: 12000, mortgage: 150000 } }
+  };
+
+  for (const [name, raw] of Object.entries(cases)) {
+    it(`ends no regime above noTax with ${name}`, () => {
+      const { result } = runScenario(raw);
+      const final = sys => result.portfolioValues[sys][result.portfolioValues[sys].length - 1];
+      for (const sys of result.systems) {
+        assert.ok(final(sys) <= final('noTax') + 1e-6, `${sys}: ${final(sys)} > noTax ${final('noTax')}`);
+      }
+    });
+  }
+});
@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calcFutureSystemDetailed,
+  calcFutureSystemByClassDetailed,
+  calcRealisedGainTaxDetailed,
+  calcCorporateTaxDetailed,
+  calcBox2Tax,
+  grossUpDividend,
+  calcPensionTaxDetailed,
+  getDefaultConfigs
+} from '../js/taxSystems.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} ≠ ${expected}`);
+
+describe('calcFutureSystemDetailed', () => {
+  it('adds a loss above the verliesdrempel to the carry-forward', () => {
+    const detail = calcFutureSystemDetailed(-3000, getDefaultConfigs().future);
+    assert.equal(detail.tax, 0);
+    assert.equal(detail.lossAdded, 3000);
+    assert.equal(detail.lossCarryForward, 3000);
+  });
+
+  it('ignores a loss below the verliesdrempel', () => {
+    const detail = calcFutureSystemDetailed(-300, getDefaultConfigs().future, 1000);
+    assert.equal(detail.lossAdded, 0);
+    assert.equal(detail.lossCarryForward, 1000);
+  });
+
+  it('keeps a verliesdrempel of 0', () => {
+    const detail = calcFutureSystemDetailed(-300, { ...getDefaultConfigs().future, lossThreshold: 0 });
+    assert.equal(detail.lossAdded, 300);
+  });
+});
+
+describe('calcFutureSystemByClassDetailed', () => {
+  const config = getDefaultConfigs().future;
+
+  it('measures each asset class on its own', () => {
+    const detail = calcFutureSystemByClassDetailed([
+      { assetClass: 'liquid', value: 100000, return: 10000 },
+      { assetClass: 'realEstate', value: 300000, return: 20000, income: 12000 },
+      { assetClass: 'startup', value: 50000, return: 30000 }
+    ], config);
+
+    assert.deepEqual(detail.brackets.map(b => b.return), [10000, 12000, 0]);
+    assert.deepEqual(detail.brackets.map(b => b.amount), [100000, 300000, 50000]);
+    assert.equal(detail.grondslag, 22000 - 1800);
+    close(detail.tax, (22000 - 1800) * 0.36);
+  });
+
+  it('taxes a realised startup gain in the year of sale', () => {
+    const detail = calcFutureSystemByClassDetailed([
+      { assetClass: 'startup', value: 0, return: -5000, realisedGain: 40000 }
+    ], config);
+    assert.equal(detail.grondslag, 40000 - 1800);
+  });
+
+  it('sets the carry-forward off against the income of all classes together', () => {
+    const detail = calcFutureSystemByClassDetailed([
+      { assetClass: 'liquid', value: 100000, return: 1300 },
+      { assetClass: 'realEstate', value: 300000, return: -8000, income: 1000 }
+    ], config, 1000);
+
+    assert.equal(detail.lossUsed, 500);
+    assert.equal(detail.lossCarryForward, 500);
+    assert.equal(detail.tax, 0);
+  });
+});
+
+describe('calcRealisedGainTaxDetailed', () => {
+  const config = getDefaultConfigs().actualReturn;
+  const newState = () => ({ realised: 0, taxPaid: 0, lossCarryForward: 0 });
+
+  it('applies the lifetime exemption to all realised gains together', () => {
+    const state = newState();
+    close(calcRealisedGainTaxDetailed(150000, config, state).tax, 50000 * 0.25);
+    assert.equal(calcRealisedGainTaxDetailed(-20000, config, state).tax, 0);
+    // The loss is set off: 170.000 cumulative owes 17.500, of which 12.500 was paid
+    close(calcRealisedGainTaxDetailed(40000, config, state).tax, 5000);
+    assert.equal(state.realised, 170000);
+  });
+
+  it('switches to the second bracket above bracket1Limit', () => {
+    const detail = calcRealisedGainTaxDetailed(1300000, config, newState());
+    close(detail.tax, 1000000 * 0.25 + 200000 * 0.40);
+  });
+
+  it('carries a loss forward with a yearly exemption', () => {
+    const yearly = { ...config, exemptionPeriod: 'year' };
+    const state = newState();
+
+    const loss = calcRealisedGainTaxDetailed(-20000, yearly, state);
+    assert.equal(loss.tax, 0);
+    assert.equal(loss.lossAdded, 20000);
+    assert.equal(state.lossCarryForward, 20000);
+
+    const gain = calcRealisedGainTaxDetailed(150000, yearly, state);
+    assert.equal(gain.lossUsed, 20000);
+    close(gain.tax, (130000 - 100000) * 0.25);
+    assert.equal(state.lossCarryForward, 0);
+  });
+});
+
+describe('calcCorporateTaxDetailed', () => {
+  const config = getDefaultConfigs().bv;
+
+  it('taxes profit in two Vpb brackets', () => {
+    const detail = calcCorporateTaxDetailed(250000, config);
+    close(detail.tax, 200000 * 0.19 + 50000 * 0.258);
+    assert.equal(detail.grondslag, 250000);
+  });
+
+  it('carries losses forward and sets them off against later profit', () => {
+    const loss = calcCorporateTaxDetailed(-30000, config);
+    assert.equal(loss.tax, 0);
+    assert.equal(loss.lossCarryForward, 30000);
+
+    const profit = calcCorporateTaxDetailed(20000, config, loss.lossCarryForward);
+    assert.equal(profit.lossUsed, 20000);
+    assert.equal(profit.tax, 0);
+    assert.equal(profit.lossCarryForward, 10000);
+  });
+
+  it('charges no Vpb for a fiscale beleggingsinstelling', () => {
+    assert.equal(calcCorporateTaxDetailed(250000, { ...config, fbi: true }).tax, 0);
+  });
+});
+
+describe('calcBox2Tax', () => {
+  const config = getDefaultConfigs().bv;
+
+  it('splits a dividend over the two box 2 brackets', () => {
+    close(calcBox2Tax(100000, config), 67804 * 0.245 + 32196 * 0.31);
+  });
+
+  it('doubles the bracket with a fiscal partner', () => {
+    close(calcBox2Tax(100000, { ...config, partnerMultiplier: 2 }), 100000 * 0.245);
+  });
+
+  it('counts dividends already received this year', () => {
+    close(calcBox2Tax(10000, config, 67804), 10000 * 0.31);
+  });
+
+  it('is the inverse of grossUpDividend', () => {
+    for (const net of [10000, 80000]) {
+      const gross = grossUpDividend(net, config, 5000);
+      close(gross - calcBox2Tax(gross, config, 5000), net);
+    }
+  });
+});
+
+describe('calcPensionTaxDetailed', () => {
+  const config = getDefaultConfigs().pension;
+
+  it('deducts deposits up to the jaarruimte', () => {
+    const detail = calcPensionTaxDetailed(50000, 0, config);
+    assert.equal(detail.deducted, 35589);
+    close(detail.refund, 35589 * 0.3748);
+    close(detail.tax, -detail.refund);
+    assert.equal(detail.brackets[1].amount, 50000 - 35589);
+  });
+
+  it('pays money that was never deducted back tax free', () => {
+    const detail = calcPensionTaxDetailed(0, 20000, config, 5000);
+    assert.equal(detail.taxFree, 5000);
+    assert.equal(detail.grondslag, 15000);
+    close(detail.tax, 15000 * 0.1792);
+  });
+
+  it('deducts nothing with a jaarruimte of 0', () => {
+    const detail = calcPensionTaxDetailed(10000, 0, { ...config, maxDeduction: 0 });
+    assert.equal(detail.deducted, 0);
+    assert.equal(detail.tax, 0);
+  });
+});
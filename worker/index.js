@@ -0,0 +1,90 @@
+/**
+ * Cloudflare Worker — simulation API next to the static site
+ *
+ *   POST /api/simulate  scenario JSON (or a list) → runSimulation output per scenario
+ *   GET  /api/indices   built-in return series, CPI and exchange rates
+ *   GET  /api/defaults  default tax configs, sleeves, property and system names
+ *
+ * Scenarios have the shape described in js/scenario.js and are validated the
+ * same way; everything else is served from the built assets in dist/.
+ */
+
+import { runScenario, describeScenario } from '../js/scenario.js';
+import { marketData, cpiData, fxData } from '../js/marketData.js';
+import { getDefaultConfigs } from '../js/taxSystems.js';
+import { getDefaultSleeves, getDefaultProperty, systemLabels } from '../js/simulation.js';
+
+const MAX_SCENARIOS = 20;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', ...corsHeaders }
+  });
+}
+
+function simulate(scenario) {
+  const { scenario: resolved, result, annualised } = runScenario(scenario);
+  return {
+    name: resolved.name,
+    inputs: describeScenario(resolved),
+    result,
+    annualised
+  };
+}
+
+async function handleSimulate(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'De body is geen geldige JSON.' }, 400);
+  }
+
+  const scenarios = Array.isArray(body) ? body : [body];
+  if (scenarios.length === 0 || scenarios.length > MAX_SCENARIOS) {
+    return json({ error: `Stuur 1 tot ${MAX_SCENARIOS} scenario's per verzoek.` }, 400);
+  }
+
+  try {
+    const runs = scenarios.map((scenario, i) => {
+      try {
+        return simulate(scenario);
+      } catch (err) {
+        throw new Error(scenarios.length > 1 ? `Scenario ${i + 1}: ${err.message}` : err.message);
+      }
+    });
+    return json(Array.isArray(body) ? runs : runs[0]);
+  } catch (err) {
+    return json({ error: err.message }, 400);
+  }
+}
+
+const routes = {
+  'POST /api/simulate': handleSimulate,
+  'GET /api/indices': () => json({ indices: marketData, cpi: cpiData, fx: fxData }),
+  'GET /api/defaults': () => json({ configs: getDefaultConfigs(), sleeves: getDefaultSleeves(), property: getDefaultProperty(), systems: systemLabels })
+};
+
+export default {
+  async fetch(request, env) {
+    const { pathname } = new URL(request.url);
+    if (!pathname.startsWith('/api/')) return env.ASSETS.fetch(request);
+
+    if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+
+    const route = routes[`${request.method} ${pathname.replace(/\/+$/, '')}`];
+    if (route) return route(request);
+
+    const known = Object.keys(routes).some(key => key.endsWith(` ${pathname}`));
+    return known
+      ? json({ error: `Methode ${request.method} is niet toegestaan.` }, 405)
+      : json({ error: `Onbekend endpoint ${pathname}.` }, 404);
+  }
+};